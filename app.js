@@ -0,0 +1,153 @@
+// Third-party packages
+// ** Express and middleware imports **
+const express = require("express"); // Main framework for creating the server
+const cors = require("cors"); // Middleware to enable CORS (Cross-Origin Resource Sharing)
+const bodyParser = require("body-parser"); // Middleware to parse incoming request bodies
+
+// Local modules
+const { createAuthMiddleware } = require("./middleware/auth");
+const { requestId } = require("./middleware/requestId");
+const { createRateLimiter } = require("./middleware/rateLimit");
+const { createIdempotency } = require("./middleware/idempotency");
+const { createCatalogCache } = require("./middleware/catalogCache");
+const { notFoundHandler, errorHandler } = require("./middleware/errors");
+const { createPricing } = require("./lib/pricing");
+const { createOrderService } = require("./lib/orders");
+const { createReviewService } = require("./lib/reviews");
+const { createRefundService } = require("./lib/refunds");
+const { createProductImporter } = require("./lib/productFiles");
+const { createProductImages } = require("./lib/productImages");
+const { createAuditLog } = require("./lib/audit");
+const { createExchangeRates } = require("./lib/currency");
+const { createHealthRouter } = require("./routes/health");
+const { createProductsRouter } = require("./routes/products");
+const { createOrdersRouter } = require("./routes/orders");
+const { createReviewsRouter } = require("./routes/reviews");
+const { createCouponsRouter } = require("./routes/coupons");
+const { createSellersRouter } = require("./routes/sellers");
+const { createAdminRouter } = require("./routes/admin");
+const { createPaymentsRouter } = require("./routes/payments");
+const { createExchangeRatesRouter } = require("./routes/exchangeRates");
+
+// Create the Express application
+// Dependencies:
+// • repository: data access (storage/mongo.js or storage/memory.js)
+// • authVerifier: ID token verification and user claims (auth/firebase.js or auth/fixtures.js)
+// • payments: payment intents and webhook events (payments/stripe.js or payments/fake.js)
+// • rateLimitStore: request counters for rate limiting (ratelimit/memory.js)
+// • eventPublisher: seller events streamed to the seller dashboards (events/memory.js)
+// • fileStorage: uploaded product images (filestorage/local.js)
+function createApp({
+  repository,
+  authVerifier,
+  payments,
+  rateLimitStore,
+  eventPublisher,
+  fileStorage,
+}) {
+  const app = express();
+  app.locals.shuttingDown = false; // Set when the server starts shutting down, so readiness checks fail
+
+  // Trust the X-Forwarded-For header set by proxies in front of the server,
+  // so rate limits apply to the client's IP address rather than the proxy's
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set(
+      "trust proxy",
+      Number.isInteger(hops) ? hops : process.env.TRUST_PROXY
+    );
+  }
+
+  // Middleware setup
+  app.use(requestId); // Give every request an ID and a logger, and log it once it completes
+  app.use(cors({ exposedHeaders: ["X-Request-Id"] })); // Enable Cross-Origin Resource Sharing (CORS) for all routes, letting browsers read the request ID
+  app.use(
+    bodyParser.json({
+      // Keep the raw request body so the Stripe webhook signature can be verified
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  ); // Parse incoming JSON payloads
+  app.use(bodyParser.urlencoded({ extended: true })); // Parse URL-encoded bodies (as sent by HTML forms)
+
+  // Services shared by the route handlers
+  const { authorize } = createAuthMiddleware(authVerifier);
+  const { rateLimit } = createRateLimiter(rateLimitStore);
+  const { idempotent } = createIdempotency(repository);
+  const exchangeRates = createExchangeRates(repository);
+  const catalogCache = createCatalogCache();
+  const orderService = createOrderService(
+    repository,
+    eventPublisher,
+    catalogCache
+  );
+  const deps = {
+    repository,
+    authVerifier,
+    payments,
+    authorize,
+    rateLimit,
+    idempotent,
+    eventPublisher,
+    exchangeRates,
+    catalogCache,
+    auditLog: createAuditLog(repository),
+    pricing: createPricing(repository, exchangeRates),
+    orderService,
+    refundService: createRefundService(repository, payments, orderService),
+    reviewService: createReviewService(repository, catalogCache),
+    productImages: createProductImages(repository, fileStorage),
+    productImporter: createProductImporter(
+      repository,
+      orderService,
+      exchangeRates
+    ),
+  };
+
+  // Serve the uploaded files of storages that keep them on the local disk, at the path of their URLs
+  // (file names are random and never reused, so browsers may cache them for good)
+  if (fileStorage.directory) {
+    app.use(
+      fileStorage.publicPath,
+      express.static(fileStorage.directory, {
+        index: false,
+        immutable: true,
+        maxAge: "365d",
+        setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+      })
+    );
+  }
+
+  // Route handlers
+  app.use(createHealthRouter(deps));
+  app.use(createProductsRouter(deps));
+  app.use(createOrdersRouter(deps));
+  app.use(createReviewsRouter(deps));
+  app.use(createCouponsRouter(deps));
+  app.use(createSellersRouter(deps));
+  app.use(createAdminRouter(deps));
+  app.use(createExchangeRatesRouter(deps));
+
+  // Simple route
+  // Define a route for the root URL ("/")
+  app.get("/", (req, res) => {
+    // Task list:
+    // • Handle GET requests to the root URL
+    // • Send a simple "Hello, World!" response to the client
+
+    // Send the "Hello, World!" text as the response
+    res.send("Hello, World!");
+  });
+
+  app.use(createPaymentsRouter(deps));
+
+  // Error handling
+  // Must come after the routes, so it receives their errors
+  app.use(notFoundHandler); // Send a JSON 404 for requests that didn't match any route
+  app.use(errorHandler); // Send every error in the same JSON format
+
+  return app;
+}
+
+module.exports = { createApp };
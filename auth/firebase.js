@@ -0,0 +1,38 @@
+// Third-party packages
+const admin = require("firebase-admin"); // Firebase Admin SDK for server-side Firebase operations
+
+// Create an auth verifier backed by Firebase Authentication
+function createFirebaseAuthVerifier({ serviceAccount }) {
+  // Initialize the Firebase Admin SDK once, on first use
+  function initializeFirebase() {
+    // Check if Firebase app is already initialized
+    if (admin.apps.length < 1) {
+      // Firebase Admin SDK initialization
+      // This allows server-side Firebase operations with elevated privileges
+      admin.initializeApp({
+        // Use the service account credentials for authentication
+        credential: admin.credential.cert(JSON.parse(serviceAccount)),
+      });
+    }
+    return admin.auth();
+  }
+
+  return {
+    // Verify a Firebase ID token, returning the decoded token with the user's custom claims
+    // (with checkRevoked, tokens issued before revokeRefreshTokens are rejected as well)
+    verifyIdToken: (idToken, checkRevoked = false) =>
+      initializeFirebase().verifyIdToken(idToken, checkRevoked),
+
+    // Get a user record, including its custom claims
+    getUser: (uid) => initializeFirebase().getUser(uid),
+
+    // Replace the custom claims of a user
+    setCustomUserClaims: (uid, claims) =>
+      initializeFirebase().setCustomUserClaims(uid, claims),
+
+    // Sign a user out everywhere, so their next request needs a new ID token with their current claims
+    revokeRefreshTokens: (uid) => initializeFirebase().revokeRefreshTokens(uid),
+  };
+}
+
+module.exports = { createFirebaseAuthVerifier };
@@ -0,0 +1,53 @@
+// Standard Node.js modules
+const fs = require("fs");
+
+// Create an auth verifier backed by a fixture file of users, for running the API offline
+// Each user has a uid, the bearer token that signs them in and optional custom claims
+function createFixtureAuthVerifier({ file }) {
+  const { users } = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  // Find a user by their UID, failing the same way Firebase does for unknown users
+  function findUser(uid) {
+    const user = users.find((fixtureUser) => fixtureUser.uid === uid);
+    if (!user) {
+      const error = new Error(`No user found for uid ${uid}`);
+      error.code = "auth/user-not-found";
+      throw error;
+    }
+    return user;
+  }
+
+  return {
+    // Treat the fixture token as the ID token, decoding it into the user and their custom claims
+    // (fixture tokens always carry the user's current claims, so there are no stale tokens to reject)
+    async verifyIdToken(idToken) {
+      const user = users.find((fixtureUser) => fixtureUser.token === idToken);
+      if (!user) {
+        throw new Error("Unknown fixture token");
+      }
+      return {
+        uid: user.uid,
+        ...(user.email && { email: user.email }),
+        ...user.customClaims,
+      };
+    },
+
+    // Get a user record, including its custom claims
+    async getUser(uid) {
+      const { token, ...user } = findUser(uid);
+      return user;
+    },
+
+    // Replace the custom claims of a user (kept in memory until the server restarts)
+    async setCustomUserClaims(uid, claims) {
+      findUser(uid).customClaims = claims;
+    },
+
+    // Sign a user out everywhere (fixture tokens never go stale, so only check the user exists)
+    async revokeRefreshTokens(uid) {
+      findUser(uid);
+    },
+  };
+}
+
+module.exports = { createFixtureAuthVerifier };
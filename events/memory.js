@@ -0,0 +1,69 @@
+// Number of recent events kept per seller, so reconnecting clients can catch up
+const SELLER_EVENTS_HISTORY =
+  parseInt(process.env.SELLER_EVENTS_HISTORY) || 100;
+
+// Create an event publisher that keeps seller events in memory
+// Events aren't shared between server instances, so a client only receives
+// the events published by the instance it is connected to
+// Publisher interface:
+// • publish(sellerID, type, data): send an event to the seller's subscribers, resolving to the event
+// • eventsSince(sellerID, lastEventId): resolve to the seller's recent events after the given ID, oldest first
+// • subscribe(sellerID, listener): call the listener with every new event of the seller, returning an unsubscribe function
+function createMemoryEventPublisher() {
+  const histories = new Map(); // sellerID => recent events, oldest first
+  const listeners = new Map(); // sellerID => Set of listeners
+
+  // Event IDs increase with time, so IDs issued before a restart stay lower than new ones
+  let lastId = 0;
+
+  // Publish an event to the seller's subscribers and keep it in the seller's history
+  async function publish(sellerID, type, data) {
+    lastId = Math.max(lastId + 1, Date.now());
+    const event = {
+      id: String(lastId),
+      type,
+      data,
+      createdAt: new Date().toISOString(),
+    };
+
+    // Keep the most recent events only
+    const history = histories.get(sellerID) || [];
+    history.push(event);
+    if (history.length > SELLER_EVENTS_HISTORY) {
+      history.shift();
+    }
+    histories.set(sellerID, history);
+
+    // Send the event to the seller's subscribers
+    for (const listener of listeners.get(sellerID) || []) {
+      listener(event);
+    }
+
+    return event;
+  }
+
+  // Retrieve the seller's events published after the given event ID
+  async function eventsSince(sellerID, lastEventId) {
+    return (histories.get(sellerID) || []).filter(
+      (event) => Number(event.id) > lastEventId
+    );
+  }
+
+  // Listen to the seller's new events until the returned function is called
+  function subscribe(sellerID, listener) {
+    const sellerListeners = listeners.get(sellerID) || new Set();
+    sellerListeners.add(listener);
+    listeners.set(sellerID, sellerListeners);
+
+    return () => {
+      sellerListeners.delete(listener);
+      if (sellerListeners.size === 0) {
+        listeners.delete(sellerID);
+      }
+    };
+  }
+
+  return { publish, eventsSince, subscribe };
+}
+
+module.exports = { createMemoryEventPublisher };
@@ -0,0 +1,54 @@
+// Standard Node.js modules
+const fs = require("fs/promises");
+const path = require("path");
+
+// Create a file storage that saves files on the local disk
+// The files are served by the API itself, from the directory the storage saves them in
+// Storage interface:
+// • save(key, buffer): store a file under a key (a relative path such as "products/<id>/<name>.png")
+// • remove(key): delete a stored file, ignoring files that don't exist
+// • url(key): get the URL the stored file is served at
+// • directory (local storage only): the directory the API serves the files from
+// • publicPath (local storage only): the URL path the API serves the files at, the path of the base URL
+//   (a base URL on another host, such as a CDN, is expected to forward that path to the API)
+function createLocalFileStorage({ directory, baseUrl }) {
+  const root = path.resolve(directory);
+  const publicPath =
+    new URL(baseUrl, "http://localhost").pathname.replace(/\/$/, "") || "/";
+
+  // Resolve a key to a path inside the storage directory, rejecting keys that would leave it
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid file key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Save a file, creating its directory if needed
+  async function save(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  // Delete a file, ignoring files that were already deleted
+  async function remove(key) {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  // Get the URL of a file
+  function url(key) {
+    return `${baseUrl.replace(/\/$/, "")}/${key}`;
+  }
+
+  return { save, remove, url, directory: root, publicPath };
+}
+
+module.exports = { createLocalFileStorage };
@@ -0,0 +1,89 @@
+// Third-party packages
+const { BSON } = require("mongodb"); // Extended JSON, to compare ObjectIds and dates by value
+
+// Local modules
+const { logger } = require("./logger");
+
+// Kinds of records the audit log tracks changes to
+const AUDIT_ENTITY_TYPES = ["product", "order", "review", "payment"];
+
+// Fields left out of the recorded changes
+// (an order's status history repeats the status change that is already recorded)
+const IGNORED_FIELDS = ["_id", "statusHistory"];
+
+// Work out the fields that differ between two versions of a document
+// Returns { field: { before, after } }, leaving out before for created documents and after for deleted ones
+function diffDocuments(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const [oldValue, newValue] = [before?.[field], after?.[field]];
+    if (
+      oldValue === undefined
+        ? newValue === undefined
+        : newValue !== undefined &&
+          BSON.EJSON.stringify(oldValue) === BSON.EJSON.stringify(newValue)
+    ) {
+      continue;
+    }
+    changes[field] = {
+      ...(oldValue !== undefined && { before: oldValue }),
+      ...(newValue !== undefined && { after: newValue }),
+    };
+  }
+  return changes;
+}
+
+// Create the audit log functions for a repository
+function createAuditLog(repository) {
+  // Record a change made by a request in the append-only audit log
+  // Change:
+  // • action: what was done, such as "product.update"
+  // • entityType: the kind of record changed (one of AUDIT_ENTITY_TYPES)
+  // • entityId: the ID of the changed record (product or review ID, order ID, payment intent ID)
+  // • before / after: the record before and after the change (before is left out for new records, after for deleted ones)
+  // • actorID: who made the change (the authenticated user by default)
+  async function recordChange(
+    req,
+    {
+      action,
+      entityType,
+      entityId,
+      before,
+      after,
+      actorID = req.user?.uid ?? null,
+    }
+  ) {
+    const entry = {
+      action,
+      entityType,
+      entityId: String(entityId),
+      actorID,
+      actorRoles: req.user?.roles || [],
+      changes: diffDocuments(before, after),
+      requestId: req.id,
+      createdAt: new Date(),
+    };
+
+    // The change has already been made, so failing the request would only make
+    // clients retry it: log the entry that couldn't be recorded instead
+    try {
+      await repository.auditLog.insert(entry);
+    } catch (error) {
+      (req.log || logger).error("Error recording audit log entry", {
+        entry,
+        error,
+      });
+    }
+  }
+
+  return { recordChange };
+}
+
+module.exports = { AUDIT_ENTITY_TYPES, diffDocuments, createAuditLog };
@@ -0,0 +1,139 @@
+// Third-party packages
+const { ObjectId } = require("mongodb"); // Product IDs are MongoDB ObjectIds in every storage backend
+
+// Local modules
+const { parseNumberParam } = require("../middleware/validation");
+const { BASE_CURRENCY, toMinorUnits, priceFactors } = require("./currency");
+
+// Product query configuration
+const MAX_PAGE_SIZE = 50; // Largest number of products a client can request per page
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000]; // Lower bounds of the price facet buckets, in major units of the display currency
+// Sort orders as [field, direction] pairs, with _id added as the final tie-breaker
+// (products are sorted on their price in the display currency, added as "displayPrice" by the storage backend)
+const PRODUCT_SORTS = {
+  price_asc: [["displayPrice", 1]],
+  price_desc: [["displayPrice", -1]],
+  rating: [
+    ["star", -1],
+    ["starCount", -1],
+  ],
+  relevance: [["score", -1]], // The text search score is added as "score" by the storage backend
+};
+
+// Build the product filters, sort order and page from the query parameters
+// shared by the product search and listing routes
+// Prices are compared in the display currency, converted with the given exchange rates
+function parseProductQuery(
+  query,
+  { defaultPageSize = 20, currency = BASE_CURRENCY, rates = {} } = {}
+) {
+  // Task list:
+  // • Parse the search text and the category, price, rating and stock filters
+  // • Work out how prices are converted into the display currency
+  // • Parse the sort order, falling back to relevance when searching
+  // • Parse the page number and page size, capping the page size
+  // • Return the parsed query for the storage backend, or the parameter errors found
+
+  const errors = [];
+
+  // Parse the search text, searched through the text index rather than a regular expression
+  const text = typeof query.q === "string" ? query.q.trim() : "";
+  if (text.length > 100) {
+    errors.push({ field: "q", message: "must be at most 100 characters long" });
+  }
+
+  // Parse the filters (minPrice and maxPrice are in minor units of the display currency)
+  const category = typeof query.category === "string" ? query.category : "";
+  const minPrice = parseNumberParam(query, "minPrice", errors, { min: 0 });
+  const maxPrice = parseNumberParam(query, "maxPrice", errors, { min: 0 });
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push({
+      field: "minPrice",
+      message: "must not be more than maxPrice",
+    });
+  }
+  const minRating = parseNumberParam(query, "minRating", errors, {
+    min: 0,
+    max: 5,
+  });
+  const inStock = query.inStock === "true";
+
+  // Parse the sort order
+  const sortName = query.sort || (text ? "relevance" : undefined);
+  if (sortName && !Object.hasOwn(PRODUCT_SORTS, sortName)) {
+    errors.push({
+      field: "sort",
+      message: `must be one of: ${Object.keys(PRODUCT_SORTS).join(", ")}`,
+    });
+  } else if (sortName === "relevance" && !text) {
+    errors.push({
+      field: "sort",
+      message: "relevance requires a search query",
+    });
+  }
+
+  // Parse the page number and page size
+  const page =
+    parseNumberParam(query, "page", errors, { min: 1, integer: true }) || 1;
+  const pageSize =
+    parseNumberParam(query, "pageSize", errors, {
+      min: 1,
+      max: MAX_PAGE_SIZE,
+      integer: true,
+    }) || defaultPageSize;
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    text,
+    category,
+    minPrice,
+    maxPrice,
+    minRating,
+    inStock,
+    currency,
+    priceFactors: priceFactors(currency, rates),
+    priceBuckets: PRICE_BUCKETS.map((min) => toMinorUnits(min, currency)),
+    sortName: sortName || "default",
+    sortFields: sortName ? PRODUCT_SORTS[sortName] : [],
+    page,
+    pageSize,
+  };
+}
+
+// Encode the position after the last product of a page as an opaque cursor
+function encodeProductCursor(sortName, sortValues, id) {
+  return Buffer.from(
+    JSON.stringify({ s: sortName, v: sortValues, id: id.toString() })
+  ).toString("base64url");
+}
+
+// Decode a cursor, returning null if it is malformed or was made for another sort order
+function decodeProductCursor(cursor, sortName, sortFields) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      decoded.s !== sortName ||
+      !Array.isArray(decoded.v) ||
+      decoded.v.length !== sortFields.length ||
+      !decoded.v.every((value) => typeof value === "number") ||
+      !ObjectId.isValid(decoded.id)
+    ) {
+      return null;
+    }
+    return { sortValues: decoded.v, id: new ObjectId(decoded.id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  PRICE_BUCKETS,
+  PRODUCT_SORTS,
+  parseProductQuery,
+  encodeProductCursor,
+  decodeProductCursor,
+};
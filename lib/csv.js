@@ -0,0 +1,84 @@
+// Values spreadsheet applications would run as formulas, guarded with a leading ' when written
+// (values already starting with ' before a formula character get one more, so reading them back is exact)
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// Parse CSV text (RFC 4180) into rows of string values
+// Quoted values may contain commas, line breaks and doubled quotes (""),
+// and lose the ' formatCsvRow puts in front of values that look like formulas
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  let wasQuoted = false;
+
+  // End the current value, removing the formula guard from quoted values
+  function endValue() {
+    row.push(
+      wasQuoted && value.startsWith("'") && FORMULA_PATTERN.test(value.slice(1))
+        ? value.slice(1)
+        : value
+    );
+    value = "";
+    wasQuoted = false;
+  }
+
+  // Strip the byte order mark spreadsheet applications add to UTF-8 files
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ",") {
+      endValue();
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      endValue();
+      rows.push(row);
+      row = [];
+    } else {
+      value += char;
+    }
+  }
+
+  // Keep the last row when the text doesn't end with a line break
+  if (value !== "" || row.length > 0) {
+    endValue();
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Format values as a CSV line, quoting those that contain commas, quotes or line breaks
+// Text starting with =, +, -, @, a tab or a carriage return is quoted with a leading ',
+// so spreadsheet applications show it instead of running it as a formula
+function formatCsvRow(values) {
+  const line = values
+    .map((value) => {
+      const text = value === undefined || value === null ? "" : String(value);
+      if (typeof value === "string" && FORMULA_PATTERN.test(text)) {
+        return `"'${text.replace(/"/g, '""')}"`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+  return `${line}\r\n`;
+}
+
+module.exports = { parseCsv, formatCsvRow };
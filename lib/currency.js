@@ -0,0 +1,144 @@
+// Local modules
+const { ValidationError } = require("./errors");
+
+// Currencies prices can be set, shown and charged in, with the number of digits of their minor unit
+// (prices are stored as integers in the minor unit, such as cents for USD)
+const CURRENCIES = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+  INR: 2,
+  BDT: 2,
+  JPY: 0,
+};
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+// Currency the exchange rates are relative to, used when a price, coupon or request doesn't name one
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "USD").toUpperCase();
+if (CURRENCIES[BASE_CURRENCY] === undefined) {
+  throw new Error(`Unknown BASE_CURRENCY: ${process.env.BASE_CURRENCY}`);
+}
+
+// Convert an amount in major units (dollars) into minor units (cents)
+function toMinorUnits(amount, currency) {
+  return Math.round(amount * 10 ** CURRENCIES[currency]);
+}
+
+// Format an amount in minor units for messages, such as "50.00 EUR"
+function formatAmount(amount, currency) {
+  const digits = CURRENCIES[currency];
+  return `${(amount / 10 ** digits).toFixed(digits)} ${currency}`;
+}
+
+// Get the rate converting major units of one currency into another,
+// or null if either currency has no exchange rate
+function rateBetween(rates, from, to) {
+  if (from === to) {
+    return 1;
+  }
+  if (!rates[from] || !rates[to]) {
+    return null;
+  }
+  return rates[to] / rates[from];
+}
+
+// Convert an amount in minor units from one currency into another,
+// returning null if it can't be converted
+function convertAmount(amount, from, to, rates) {
+  const rate = rateBetween(rates, from, to);
+  if (rate === null) {
+    return null;
+  }
+  return Math.round(amount * rate * 10 ** (CURRENCIES[to] - CURRENCIES[from]));
+}
+
+// Get the factors converting minor units of every convertible currency into minor units of the given currency,
+// so the storage backends can filter and sort products priced in different currencies
+function priceFactors(currency, rates) {
+  return Object.fromEntries(
+    CURRENCY_CODES.filter(
+      (code) => rateBetween(rates, code, currency) !== null
+    ).map((code) => [
+      code,
+      rateBetween(rates, code, currency) *
+        10 ** (CURRENCIES[currency] - CURRENCIES[code]),
+    ])
+  );
+}
+
+// Add a product's price and shipping in the display currency, with the rate used
+// (products priced in a currency without an exchange rate have no display price)
+function withDisplayPrice(product, currency, rates) {
+  const productCurrency = product.currency || BASE_CURRENCY;
+  const rate = rateBetween(rates, productCurrency, currency);
+  const convert = (amount) =>
+    typeof amount === "number"
+      ? convertAmount(amount, productCurrency, currency, rates)
+      : undefined;
+
+  return {
+    ...product,
+    display:
+      rate === null
+        ? null
+        : {
+            currency,
+            price: convert(product.price),
+            shipping: convert(product.shipping),
+            rate,
+          },
+  };
+}
+
+// Create the exchange rate functions for a repository
+function createExchangeRates(repository) {
+  // Load the exchange rates, as units of each currency per unit of the base currency
+  async function loadRates() {
+    const storedRates = await repository.exchangeRates.list();
+    return {
+      ...Object.fromEntries(storedRates.map(({ _id, rate }) => [_id, rate])),
+      [BASE_CURRENCY]: 1,
+    };
+  }
+
+  // Check a requested currency (the base currency when none is given) and load the exchange rates
+  // Throws a ValidationError if the currency is unknown or has no exchange rate
+  async function resolveCurrency(code, field = "currency") {
+    const currency =
+      code === undefined || code === "" ? BASE_CURRENCY : String(code);
+    if (!CURRENCY_CODES.includes(currency)) {
+      throw new ValidationError("Validation failed", [
+        {
+          field,
+          message: `must be one of: ${CURRENCY_CODES.join(", ")}`,
+        },
+      ]);
+    }
+
+    const rates = await loadRates();
+    if (!rates[currency]) {
+      throw new ValidationError("Validation failed", [
+        { field, message: `${currency} has no exchange rate` },
+      ]);
+    }
+
+    return { currency, rates };
+  }
+
+  return { loadRates, resolveCurrency };
+}
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  BASE_CURRENCY,
+  toMinorUnits,
+  formatAmount,
+  rateBetween,
+  convertAmount,
+  priceFactors,
+  withDisplayPrice,
+  createExchangeRates,
+};
@@ -0,0 +1,71 @@
+// Typed errors thrown by the route handlers and services
+// The error middleware turns them into a JSON response with their status code:
+// { "error": "<message>", "code": "<code>", "details": [...], "requestId": "<X-Request-Id>" }
+
+// Base class for errors that are safe to show to the client
+class AppError extends Error {
+  constructor(
+    message,
+    { statusCode = 500, code = "internal_error", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// The request is malformed or fails validation (400)
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", details) {
+    super(message, { statusCode: 400, code: "validation_error", details });
+  }
+}
+
+// The request isn't authenticated (401)
+class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized") {
+    super(message, { statusCode: 401, code: "unauthorized" });
+  }
+}
+
+// The authenticated user isn't allowed to do this (403)
+class ForbiddenError extends AppError {
+  constructor(message = "Forbidden") {
+    super(message, { statusCode: 403, code: "forbidden" });
+  }
+}
+
+// The requested resource doesn't exist (404)
+class NotFoundError extends AppError {
+  constructor(message = "Not found") {
+    super(message, { statusCode: 404, code: "not_found" });
+  }
+}
+
+// The request conflicts with the current state of the resource (409)
+class ConflictError extends AppError {
+  constructor(message = "Conflict", details) {
+    super(message, { statusCode: 409, code: "conflict", details });
+  }
+}
+
+// The client has sent too many requests (429)
+// retryAfter is the number of seconds to wait before trying again
+class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", retryAfter) {
+    super(message, { statusCode: 429, code: "rate_limited" });
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
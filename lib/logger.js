@@ -0,0 +1,53 @@
+// Log levels, from the most to the least verbose
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Minimum level written to the log (info by default)
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL]
+  ? process.env.LOG_LEVEL
+  : "info";
+
+// Turn an error into plain fields, since JSON.stringify drops its message and stack
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack,
+  };
+}
+
+// Create a logger that writes one JSON object per line to stdout
+// Every entry includes the given fields (for example the request ID)
+function createLogger(fields = {}) {
+  function log(level, message, extra = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...fields,
+    };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (message, extra) => log("debug", message, extra),
+    info: (message, extra) => log("info", message, extra),
+    warn: (message, extra) => log("warn", message, extra),
+    error: (message, extra) => log("error", message, extra),
+    // Create a logger that adds more fields to every entry
+    child: (childFields) => createLogger({ ...fields, ...childFields }),
+  };
+}
+
+// Application-wide logger, used outside of requests (startup, shutdown, database)
+const logger = createLogger();
+
+module.exports = { LOG_LEVELS, logger };
@@ -0,0 +1,342 @@
+// Third-party packages
+const { ObjectId } = require("mongodb"); // Used to build product IDs
+
+// Local modules
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("./errors");
+const { logger } = require("./logger");
+
+// Stock at or below which a product is reported as low
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// Order status lifecycle: the statuses each order status may move to
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+// Seller events sent when an order moves to these statuses
+const ORDER_STATUS_EVENTS = {
+  paid: "order.paid",
+  cancelled: "order.cancelled",
+  refunded: "order.refunded",
+};
+
+// Get the statuses an order may move to the given status from
+function statusesAllowingTransitionTo(nextStatus) {
+  const statuses = Object.keys(ORDER_STATUS_TRANSITIONS).filter((status) =>
+    ORDER_STATUS_TRANSITIONS[status].includes(nextStatus)
+  );
+
+  // Orders created before the status lifecycle was introduced have no status and count as pending
+  return statuses.includes("pending") ? [...statuses, null] : statuses;
+}
+
+// Build a status history entry for an order
+function createStatusHistoryEntry(status, note, changedBy) {
+  return {
+    status,
+    changedAt: new Date(),
+    ...(note && { note }),
+    ...(changedBy && { changedBy }),
+  };
+}
+
+// Check whether a user may manage an order (its seller or an admin)
+function canManageOrder(user, order) {
+  return user.roles.includes("admin") || order.sellerID === user.uid;
+}
+
+// Summarize an order for the events sent to its seller
+function orderEventData(order) {
+  return {
+    orderID: order.orderID,
+    checkoutID: order.checkoutID,
+    productId: order.productId,
+    name: order.name,
+    quantity: order.quantity,
+    amount: order.amount,
+    currency: order.currency,
+    status: order.status,
+  };
+}
+
+// Create the inventory and order status functions for a repository, a seller event publisher and the catalog cache
+function createOrderService(repository, eventPublisher, { invalidate }) {
+  // Send an event to a seller's event stream
+  // A failure is only logged, since the order or stock change it reports has already been made
+  async function notifySeller(sellerID, type, data) {
+    if (!sellerID) {
+      return;
+    }
+    try {
+      await eventPublisher.publish(sellerID, type, data);
+    } catch (error) {
+      logger.error("Error publishing seller event", { sellerID, type, error });
+    }
+  }
+
+  // Tell the seller when a stock change takes a product down to the low-stock threshold
+  async function notifyLowStock(product, change) {
+    const previousStock = product.stock - change;
+    if (
+      product.stock <= LOW_STOCK_THRESHOLD &&
+      previousStock > LOW_STOCK_THRESHOLD
+    ) {
+      await notifySeller(product.sellerID, "stock.low", {
+        productId: product._id,
+        name: product.name,
+        stock: product.stock,
+        threshold: LOW_STOCK_THRESHOLD,
+      });
+    }
+  }
+
+  // Record a change to a product's stock in the stock adjustments log
+  async function logStockChange(productId, change, reason, details = {}) {
+    await repository.stockAdjustments.insert({
+      productId,
+      change,
+      reason,
+      ...details,
+      createdAt: new Date(),
+    });
+  }
+
+  // Reserve stock for the line items of new orders
+  async function reserveStock(lineItems) {
+    // Task list:
+    // • Total the quantity ordered for each product
+    // • Find the ordered products and report those that don't exist
+    // • Decrement the stock of each tracked product only if enough is left
+    // • Put back the stock already taken if any item can't be fulfilled
+    // • Drop the cached catalog responses, so they show the new stock
+    // • Return the reserved quantities with the updated products, or the per-item errors found
+
+    // Total the quantity ordered for each product
+    const quantities = new Map();
+    for (const { productId, quantity } of lineItems) {
+      const key = productId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + quantity);
+    }
+
+    // Find the ordered products
+    const products = await repository.products.findByIds(
+      [...quantities.keys()].map((id) => new ObjectId(id))
+    );
+    const productsById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    // Decrement the stock of each product, collecting the items that can't be fulfilled
+    const errors = [];
+    const reserved = [];
+    for (const [productId, quantity] of quantities) {
+      const product = productsById.get(productId);
+
+      // Report products that don't exist
+      if (!product) {
+        errors.push({ productId, error: "Product not found" });
+        continue;
+      }
+
+      // Products without a stock count aren't tracked
+      if (typeof product.stock !== "number") {
+        continue;
+      }
+
+      // Decrement the stock only if enough is left, so concurrent orders can't oversell
+      const updatedProduct = await repository.products.takeStock(
+        product._id,
+        quantity
+      );
+      if (!updatedProduct) {
+        const current = await repository.products.findById(product._id);
+        errors.push({
+          productId,
+          name: product.name,
+          requested: quantity,
+          available: current?.stock ?? 0,
+          error: "Insufficient stock",
+        });
+        continue;
+      }
+
+      reserved.push({ productId: product._id, quantity, updatedProduct });
+    }
+
+    // Put back the stock already taken if the order can't be fulfilled as a whole
+    if (errors.length > 0) {
+      await releaseStock(reserved);
+      return { errors };
+    }
+
+    // Drop the cached catalog responses, so they show the new stock
+    if (reserved.length > 0) {
+      invalidate();
+    }
+
+    return { reserved };
+  }
+
+  // Put back stock taken by orders that were cancelled or couldn't be created
+  async function releaseStock(lineItems) {
+    for (const { productId, quantity } of lineItems) {
+      await repository.products.returnStock(new ObjectId(productId), quantity);
+    }
+
+    // Drop the cached catalog responses, so they show the stock put back
+    if (lineItems.length > 0) {
+      invalidate();
+    }
+  }
+
+  // Move an order to a new status, recording the change in its history (and in the audit log when recordChange is given),
+  // putting back its stock when it is cancelled or refunded before shipping and telling its seller when it is paid, cancelled or refunded
+  async function transitionOrder(
+    order,
+    nextStatus,
+    { note, changedBy, recordChange } = {}
+  ) {
+    // Update the order, matching on its current status so concurrent changes can't be overwritten
+    const updatedOrder = await repository.orders.transitionStatus(
+      order._id,
+      order.status,
+      nextStatus,
+      createStatusHistoryEntry(nextStatus, note, changedBy)
+    );
+
+    // Record the status change in the audit log
+    if (updatedOrder && recordChange) {
+      await recordChange({
+        action: "order.status_change",
+        entityType: "order",
+        entityId: order.orderID,
+        before: order,
+        after: updatedOrder,
+      });
+    }
+
+    // Put the stock reserved for an order back on the shelf when it is cancelled,
+    // or refunded in full before it has shipped (a refunded order can't be cancelled any more)
+    const unshippedRefund =
+      nextStatus === "refunded" && order.status === "paid";
+    if (
+      updatedOrder &&
+      (nextStatus === "cancelled" || unshippedRefund) &&
+      order.stockReserved
+    ) {
+      await releaseStock([order]);
+      await logStockChange(
+        order.productId,
+        order.quantity,
+        unshippedRefund ? "Order refunded" : "Order cancelled",
+        {
+          orderID: order.orderID,
+          ...(changedBy && { actor: changedBy }),
+        }
+      );
+    }
+
+    // Tell the seller the payment was confirmed, or the order was cancelled or refunded
+    if (updatedOrder && ORDER_STATUS_EVENTS[nextStatus]) {
+      await notifySeller(
+        updatedOrder.sellerID,
+        ORDER_STATUS_EVENTS[nextStatus],
+        orderEventData(updatedOrder)
+      );
+    }
+
+    return updatedOrder;
+  }
+
+  // Move a single order to a new status, recording the change in its history
+  async function changeOrderStatus(
+    orderID,
+    nextStatus,
+    { note, user, recordChange } = {}
+  ) {
+    // Task list:
+    // • Validate the requested status (refunds go through the refund route instead)
+    // • Find the order and check that the user may manage it
+    // • Check that the transition is allowed
+    // • Update the order only if its status hasn't changed in the meantime
+    // • Record the change in the audit log when recordChange is given
+    // • Return the updated order, or throw a typed error the error middleware turns into a response
+
+    // Reject unknown statuses
+    if (!ORDER_STATUS_TRANSITIONS[nextStatus]) {
+      throw new ValidationError(`Unknown order status: ${nextStatus}`);
+    }
+
+    // Orders only become refunded once the money has been given back through a Stripe refund
+    if (nextStatus === "refunded") {
+      throw new ValidationError(
+        "Refund the order with POST /orders/:orderID/refund, which moves it to refunded once it is refunded in full"
+      );
+    }
+
+    // Find the order to update
+    const order = await repository.orders.findByOrderID(orderID);
+    if (!order) {
+      throw new NotFoundError("Order not found");
+    }
+
+    // Only the order's seller or an admin may change its status
+    if (user && !canManageOrder(user, order)) {
+      throw new ForbiddenError(
+        "Forbidden: You can only manage your own orders"
+      );
+    }
+
+    // Orders created before the status lifecycle was introduced are treated as pending
+    const currentStatus = order.status || "pending";
+    if (!ORDER_STATUS_TRANSITIONS[currentStatus].includes(nextStatus)) {
+      throw new ValidationError(
+        `Invalid status transition from ${currentStatus} to ${nextStatus}`
+      );
+    }
+
+    // Update the order unless its status was changed in the meantime
+    const updatedOrder = await transitionOrder(order, nextStatus, {
+      note,
+      changedBy: user?.uid,
+      recordChange,
+    });
+    if (!updatedOrder) {
+      throw new ConflictError(
+        "Order status was changed by another request, please retry"
+      );
+    }
+
+    return updatedOrder;
+  }
+
+  return {
+    notifySeller,
+    notifyLowStock,
+    logStockChange,
+    reserveStock,
+    releaseStock,
+    transitionOrder,
+    changeOrderStatus,
+  };
+}
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  ORDER_STATUS_TRANSITIONS,
+  orderEventData,
+  statusesAllowingTransitionTo,
+  createStatusHistoryEntry,
+  canManageOrder,
+  createOrderService,
+};
@@ -0,0 +1,311 @@
+// Third-party packages
+const { ObjectId } = require("mongodb"); // Used to check and build product and coupon IDs
+
+// Local modules
+const { DuplicateKeyError } = require("../storage/errors");
+const {
+  BASE_CURRENCY,
+  formatAmount,
+  rateBetween,
+  convertAmount,
+} = require("./currency");
+
+// Checkout pricing configuration
+// Sales tax rate applied to the cart subtotal, 10% when TAX_RATE isn't set (TAX_RATE=0 turns tax off)
+// A rate that isn't a fraction from 0 up to 1 stops the server from starting, rather than mispricing every cart
+const TAX_RATE = process.env.TAX_RATE ? Number(process.env.TAX_RATE) : 0.1;
+if (!(TAX_RATE >= 0 && TAX_RATE < 1)) {
+  throw new Error(
+    `Invalid TAX_RATE: ${process.env.TAX_RATE} (expected a rate from 0 up to 1, such as 0.1)`
+  );
+}
+
+// Split an amount between shares in proportion to their weights, in whole minor units
+// (each share is rounded from the running total, so the shares always add up to the amount)
+function allocate(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+  let cumulativeWeight = 0;
+  return weights.map((weight) => {
+    cumulativeWeight += weight;
+    const share =
+      totalWeight === 0
+        ? 0
+        : Math.round((amount * cumulativeWeight) / totalWeight) - allocated;
+    allocated += share;
+    return share;
+  });
+}
+
+// Create the cart pricing and coupon functions for a repository
+function createPricing(repository, { resolveCurrency }) {
+  // Calculate cart totals from the current product prices in the database,
+  // in minor units of the currency the buyer is charged in
+  async function priceCart(items, { couponCode, userID, currency } = {}) {
+    // Task list:
+    // • Check the requested currency and load the exchange rates
+    // • Validate the requested cart items (product ID and quantity)
+    // • Look up the current price of every product in the database
+    // • Convert the prices into the requested currency
+    // • Apply the coupon, if one is given
+    // • Calculate the line totals, discount, shipping, tax and grand total
+    // • Work out the amount charged for each line item, its share of the discount and tax included
+    // • Return the itemized breakdown, or the validation or coupon errors found
+
+    // Check the requested currency (the base currency by default) and load the exchange rates
+    const { currency: chargeCurrency, rates } = await resolveCurrency(currency);
+
+    // Ensure the cart is a non-empty array
+    if (!Array.isArray(items) || items.length === 0) {
+      return { errors: ["Cart must be a non-empty array of items"] };
+    }
+
+    // Validate each cart item and collect any errors
+    const errors = [];
+    items.forEach((item, index) => {
+      if (!item || !ObjectId.isValid(item.productId)) {
+        errors.push(`Item ${index}: invalid productId`);
+      }
+      if (!Number.isInteger(item?.quantity) || item.quantity < 1) {
+        errors.push(`Item ${index}: quantity must be a positive integer`);
+      }
+    });
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    // Fetch the products in the cart from the database
+    const productIds = items.map((item) => new ObjectId(item.productId));
+    const products = await repository.products.findByIds(productIds);
+    const productsById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    // Build the itemized breakdown using the server-side prices, converted into the charged currency
+    const lineItems = [];
+    items.forEach((item, index) => {
+      const product = productsById.get(String(item.productId));
+
+      // Report products that no longer exist
+      if (!product) {
+        errors.push(`Item ${index}: product ${item.productId} not found`);
+        return;
+      }
+
+      // Report products whose price can't be converted
+      const productCurrency = product.currency || BASE_CURRENCY;
+      const exchangeRate = rateBetween(rates, productCurrency, chargeCurrency);
+      if (exchangeRate === null) {
+        errors.push(
+          `Item ${index}: product ${item.productId} can't be sold in ${chargeCurrency}`
+        );
+        return;
+      }
+
+      const convert = (amount) =>
+        convertAmount(
+          Number(amount) || 0,
+          productCurrency,
+          chargeCurrency,
+          rates
+        );
+      const unitPrice = convert(product.price);
+      const unitShipping = convert(product.shipping);
+      lineItems.push({
+        productId: product._id,
+        name: product.name,
+        sellerID: product.sellerID,
+        unitPrice,
+        quantity: item.quantity,
+        lineTotal: unitPrice * item.quantity,
+        shipping: unitShipping * item.quantity,
+        exchangeRate,
+      });
+    });
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    // Apply the coupon, if one is given
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      const result = await calculateCouponDiscount(couponCode, lineItems, {
+        userID,
+        currency: chargeCurrency,
+        rates,
+      });
+      if (result.error) {
+        return { couponError: result.error };
+      }
+      ({ coupon, discount } = result);
+    }
+
+    // Calculate the cart totals, taxing the discounted subtotal
+    const subtotal = lineItems.reduce(
+      (sum, lineItem) => sum + lineItem.lineTotal,
+      0
+    );
+    const shipping = lineItems.reduce(
+      (sum, lineItem) => sum + lineItem.shipping,
+      0
+    );
+    const tax = Math.round((subtotal - discount) * TAX_RATE);
+    const total = subtotal - discount + shipping + tax;
+
+    // Share the discount between the items the coupon applies to and the tax between every item,
+    // so each line item records what was charged for it and the amounts add up to the total
+    const lineDiscounts = allocate(
+      discount,
+      lineItems.map((lineItem) =>
+        !coupon || !coupon.sellerID || lineItem.sellerID === coupon.sellerID
+          ? lineItem.lineTotal
+          : 0
+      )
+    );
+    const lineTaxes = allocate(
+      tax,
+      lineItems.map(
+        (lineItem, index) => lineItem.lineTotal - lineDiscounts[index]
+      )
+    );
+    lineItems.forEach((lineItem, index) => {
+      lineItem.amount =
+        lineItem.lineTotal -
+        lineDiscounts[index] +
+        lineItem.shipping +
+        lineTaxes[index];
+    });
+
+    return {
+      coupon,
+      breakdown: {
+        items: lineItems,
+        subtotal,
+        ...(coupon && {
+          coupon: { code: coupon.code, type: coupon.type, value: coupon.value },
+        }),
+        discount,
+        shipping,
+        tax,
+        taxRate: TAX_RATE,
+        total,
+        currency: chargeCurrency,
+      },
+    };
+  }
+
+  // Find a coupon by its code and work out the discount it gives on the priced cart items
+  async function calculateCouponDiscount(
+    code,
+    lineItems,
+    { userID, currency, rates }
+  ) {
+    // Task list:
+    // • Find the active coupon with the given code
+    // • Check its expiry and its global and per-user usage limits
+    // • Work out which cart items the coupon applies to and check the minimum cart value
+    //   (fixed amounts are converted from the coupon's currency into the cart's)
+    // • Return the coupon and the discount, or the reason it can't be used
+
+    // Find the coupon (codes are stored in upper case)
+    const coupon = await repository.coupons.findByCode(
+      String(code).trim().toUpperCase()
+    );
+    if (!coupon || coupon.active === false) {
+      return { error: "Coupon not found" };
+    }
+
+    // Check the coupon's expiry and global usage limit
+    if (coupon.expiresAt && coupon.expiresAt < new Date()) {
+      return { error: "Coupon has expired" };
+    }
+    if (
+      coupon.usageLimit &&
+      (coupon.redemptionCount || 0) >= coupon.usageLimit
+    ) {
+      return { error: "Coupon has reached its usage limit" };
+    }
+
+    // Check how many times the user has already redeemed the coupon
+    if (coupon.perUserLimit) {
+      const userRedemptions = await repository.couponRedemptions.countForUser(
+        coupon._id,
+        userID
+      );
+      if (userRedemptions >= coupon.perUserLimit) {
+        return { error: "You have already used this coupon" };
+      }
+    }
+
+    // Fixed amounts are set in the coupon's currency
+    const couponCurrency = coupon.currency || BASE_CURRENCY;
+    const convert = (amount) =>
+      convertAmount(amount, couponCurrency, currency, rates);
+    if (rateBetween(rates, couponCurrency, currency) === null) {
+      return { error: `Coupon can't be used in ${currency}` };
+    }
+
+    // Seller coupons only apply to that seller's products
+    const eligibleSubtotal = lineItems
+      .filter(
+        (lineItem) => !coupon.sellerID || lineItem.sellerID === coupon.sellerID
+      )
+      .reduce((sum, lineItem) => sum + lineItem.lineTotal, 0);
+    if (eligibleSubtotal === 0) {
+      return { error: "Coupon doesn't apply to any item in the cart" };
+    }
+    if (
+      coupon.minCartValue &&
+      eligibleSubtotal < convert(coupon.minCartValue)
+    ) {
+      return {
+        error: `Coupon requires a minimum cart value of ${formatAmount(
+          convert(coupon.minCartValue),
+          currency
+        )}`,
+      };
+    }
+
+    // Work out the discount, never more than the eligible items cost
+    const discount = Math.min(
+      coupon.type === "percentage"
+        ? Math.round((eligibleSubtotal * coupon.value) / 100)
+        : convert(coupon.value),
+      eligibleSubtotal
+    );
+
+    return { coupon, discount };
+  }
+
+  // Count a coupon redemption once the payment it was applied to has succeeded
+  async function recordCouponRedemption(paymentIntent) {
+    // Payment intents created without a coupon have nothing to record
+    const { couponId, userID } = paymentIntent.metadata || {};
+    if (!couponId || !ObjectId.isValid(couponId)) {
+      return;
+    }
+
+    try {
+      // Record the redemption (the unique index on paymentIntentId keeps it from being counted twice)
+      await repository.couponRedemptions.insert({
+        couponId: new ObjectId(couponId),
+        userID,
+        paymentIntentId: paymentIntent.id,
+        redeemedAt: new Date(),
+      });
+    } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        return;
+      }
+      throw error;
+    }
+
+    // Count the redemption towards the coupon's global usage limit
+    await repository.coupons.incrementRedemptions(new ObjectId(couponId));
+  }
+
+  return { priceCart, recordCouponRedemption };
+}
+
+module.exports = { TAX_RATE, createPricing };
@@ -0,0 +1,298 @@
+// Local modules
+const { validatePayload } = require("../middleware/validation");
+const { productImportSchema } = require("./schemas");
+const { parseCsv, formatCsvRow } = require("./csv");
+const { ValidationError } = require("./errors");
+const { BASE_CURRENCY } = require("./currency");
+const { DuplicateKeyError } = require("../storage/errors");
+
+// Product import and export configuration
+const PRODUCT_FILE_FORMATS = ["csv", "jsonl"]; // CSV, or JSON Lines (one JSON product per line)
+const MAX_IMPORT_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 1000; // Products accepted in a single import
+
+// Columns of exported CSV files, in order (imports ignore the id column and match products by SKU)
+const EXPORT_COLUMNS = [
+  "id",
+  "sku",
+  "name",
+  "category",
+  "seller",
+  "price",
+  "currency",
+  "shipping",
+  "stock",
+  "img",
+  "url",
+  "key",
+  "features",
+];
+
+// Turn a CSV value into the type its product field expects
+// Empty values are left out, and values that can't be converted are kept as they are so validation reports them
+function convertCsvValue(field, value) {
+  if (value.trim() === "") {
+    return undefined;
+  }
+
+  switch (productImportSchema[field]?.type) {
+    case "number":
+    case "integer":
+      return Number.isFinite(Number(value)) ? Number(value) : value;
+    case "array":
+      // Arrays, such as the product features, are written as JSON in a single column
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+// Parse an import file into rows of product values, numbered from 1 after the CSV header
+// Rows that can't be parsed are returned with an error, so they are reported as rejected
+function parseImportFile(text, format) {
+  let rows;
+
+  if (format === "csv") {
+    const [header, ...lines] = parseCsv(text);
+    if (!header || header.every((column) => !column.trim())) {
+      throw new ValidationError("The CSV file must start with a header row");
+    }
+    const columns = header.map((column) => column.trim());
+
+    rows = lines
+      .map((values, index) => ({ row: index + 1, values }))
+      .filter(({ values }) => values.some((value) => value.trim() !== ""))
+      .map(({ row, values }) => {
+        const product = {};
+        columns.forEach((column, index) => {
+          const value = convertCsvValue(column, values[index] ?? "");
+          if (column && value !== undefined) {
+            product[column] = value;
+          }
+        });
+        return { row, values: product };
+      });
+  } else {
+    rows = text
+      .split(/\r?\n/)
+      .map((line, index) => ({ row: index + 1, line }))
+      .filter(({ line }) => line.trim() !== "")
+      .map(({ row, line }) => {
+        try {
+          return { row, values: JSON.parse(line) };
+        } catch {
+          return { row, error: "is not valid JSON" };
+        }
+      });
+  }
+
+  // Check the size of the import
+  if (rows.length === 0) {
+    throw new ValidationError("The import file doesn't contain any products");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(
+      `An import can contain at most ${MAX_IMPORT_ROWS} products`
+    );
+  }
+
+  return rows;
+}
+
+// Format the header of an export file (CSV files start with the column names, JSON Lines files have no header)
+function formatExportHeader(format) {
+  return format === "csv" ? formatCsvRow(EXPORT_COLUMNS) : "";
+}
+
+// Format a product as a line of an export file
+function formatExportLine(product, format) {
+  if (format === "jsonl") {
+    return `${JSON.stringify(product)}\n`;
+  }
+  return formatCsvRow(
+    EXPORT_COLUMNS.map((column) => {
+      const value = product[column === "id" ? "_id" : column];
+      return Array.isArray(value) ? JSON.stringify(value) : value;
+    })
+  );
+}
+
+// Create the product import function for a repository
+function createProductImporter(repository, { logStockChange }, { loadRates }) {
+  // Create or update a seller's products from the parsed rows of an import file
+  // Options:
+  // • dryRun: validate the rows without changing any product
+  // • recordChange(change): record each created or updated product in the audit log
+  async function importProducts(
+    sellerID,
+    rows,
+    { dryRun = false, recordChange = async () => {} } = {}
+  ) {
+    // Task list:
+    // • Validate every row against the product import schema
+    // • Reject rows priced in a currency without an exchange rate
+    // • Reject rows whose SKU appears earlier in the same file
+    // • Match the valid rows to the seller's existing products by SKU
+    // • Update the existing products and create the new ones (unless it is a dry run)
+    // • Record stock changes to existing products in the stock log
+    // • Record the created and updated products in the audit log
+    // • Return a report with the outcome of every row and a summary
+
+    const results = [];
+    const validRows = [];
+    const seenSkus = new Set();
+    const rates = await loadRates();
+
+    // Validate every row, rejecting duplicate SKUs within the file
+    for (const { row, values, error } of rows) {
+      if (error) {
+        results.push({
+          row,
+          status: "rejected",
+          errors: [{ field: "row", message: error }],
+        });
+        continue;
+      }
+
+      const { value, errors } = validatePayload(productImportSchema, values);
+      if (value.currency !== undefined && !rates[value.currency]) {
+        errors.push({ field: "currency", message: "has no exchange rate" });
+      }
+      if (errors.length === 0 && seenSkus.has(value.sku)) {
+        errors.push({
+          field: "sku",
+          message: "appears more than once in the import",
+        });
+      }
+      if (errors.length > 0) {
+        results.push({
+          row,
+          ...(typeof values?.sku === "string" && { sku: values.sku }),
+          status: "rejected",
+          errors,
+        });
+        continue;
+      }
+
+      seenSkus.add(value.sku);
+      validRows.push({ row, value });
+    }
+
+    // Find the seller's products that already have the imported SKUs
+    const existingProducts = await repository.products.findBySkus(sellerID, [
+      ...seenSkus,
+    ]);
+    const productsBySku = new Map(
+      existingProducts.map((product) => [product.sku, product])
+    );
+
+    // Update or create the product of every valid row
+    for (const { row, value } of validRows) {
+      const existing = productsBySku.get(value.sku);
+
+      // Update the existing product with the same SKU
+      if (existing) {
+        if (!dryRun) {
+          const { stock, ...fields } = value;
+          await repository.products.update(existing._id, sellerID, fields);
+
+          // Stock changes go through a logged adjustment, like PATCH /products/:id/stock
+          const adjustment =
+            stock === undefined ? 0 : stock - (existing.stock ?? 0);
+          const adjustedProduct =
+            adjustment !== 0 &&
+            (await repository.products.adjustStock(existing._id, adjustment));
+          if (adjustedProduct) {
+            await logStockChange(existing._id, adjustment, "Product import", {
+              actor: sellerID,
+            });
+          }
+
+          await recordChange({
+            action: "product.import",
+            entityType: "product",
+            entityId: existing._id,
+            before: existing,
+            after: {
+              ...existing,
+              ...fields,
+              ...(adjustedProduct && { stock: adjustedProduct.stock }),
+            },
+          });
+        }
+        results.push({
+          row,
+          sku: value.sku,
+          status: "updated",
+          productId: existing._id,
+        });
+        continue;
+      }
+
+      // Create a new product, without reviews
+      if (dryRun) {
+        results.push({ row, sku: value.sku, status: "created" });
+        continue;
+      }
+      try {
+        const newProduct = {
+          ...value,
+          currency: value.currency ?? BASE_CURRENCY,
+          sellerID,
+          star: 0,
+          starCount: 0,
+        };
+        const productId = await repository.products.insert(newProduct);
+        await recordChange({
+          action: "product.import",
+          entityType: "product",
+          entityId: productId,
+          after: newProduct,
+        });
+        results.push({ row, sku: value.sku, status: "created", productId });
+      } catch (error) {
+        // Another request created a product with the same SKU in the meantime
+        if (!(error instanceof DuplicateKeyError)) {
+          throw error;
+        }
+        results.push({
+          row,
+          sku: value.sku,
+          status: "rejected",
+          errors: [{ field: "sku", message: "already exists" }],
+        });
+      }
+    }
+
+    // List the rows in file order, with a count of each outcome
+    results.sort((a, b) => a.row - b.row);
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+
+    return {
+      dryRun,
+      summary: {
+        total: results.length,
+        created: count("created"),
+        updated: count("updated"),
+        rejected: count("rejected"),
+      },
+      rows: results,
+    };
+  }
+
+  return { importProducts };
+}
+
+module.exports = {
+  PRODUCT_FILE_FORMATS,
+  MAX_IMPORT_ROWS,
+  EXPORT_COLUMNS,
+  parseImportFile,
+  formatExportHeader,
+  formatExportLine,
+  createProductImporter,
+};
@@ -0,0 +1,234 @@
+// Standard Node.js modules
+const crypto = require("crypto");
+
+// Local modules
+const { ValidationError, ConflictError, NotFoundError } = require("./errors");
+const { logger } = require("./logger");
+
+// Product image configuration
+const PRODUCT_IMAGE_MAX_SIZE =
+  parseInt(process.env.PRODUCT_IMAGE_MAX_SIZE) || 2 * 1024 * 1024; // Largest image accepted (bytes)
+const PRODUCT_IMAGE_MAX_COUNT =
+  parseInt(process.env.PRODUCT_IMAGE_MAX_COUNT) || 10; // Images a product can have
+const PRODUCT_IMAGE_MAX_UPLOAD =
+  parseInt(process.env.PRODUCT_IMAGE_MAX_UPLOAD) || 4; // Images accepted in a single upload
+
+// Image types accepted, recognized from the first bytes of the file rather than the type the client sent
+const IMAGE_TYPES = [
+  {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) =>
+      buffer.length >= 3 &&
+      buffer[0] === 0xff &&
+      buffer[1] === 0xd8 &&
+      buffer[2] === 0xff,
+  },
+  {
+    contentType: "image/png",
+    extension: "png",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    contentType: "image/gif",
+    extension: "gif",
+    matches: (buffer) =>
+      ["GIF87a", "GIF89a"].includes(buffer.subarray(0, 6).toString("latin1")),
+  },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+      buffer.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+// Recognize the type of an image from its content, returning null for other files
+function detectImageType(buffer) {
+  return IMAGE_TYPES.find((type) => type.matches(buffer)) || null;
+}
+
+// Create the product image functions for a repository and a file storage
+function createProductImages(repository, fileStorage) {
+  // Point the product's main image (img) at its first uploaded image,
+  // clearing it when it pointed at an uploaded image that was removed
+  async function updateMainImage(product, removedUrls = []) {
+    const images = product.images || [];
+    const img = images.length > 0 ? images[0].url : "";
+    if (
+      product.img !== img &&
+      (images.length > 0 || removedUrls.includes(product.img))
+    ) {
+      await repository.products.update(product._id, product.sellerID, {
+        img,
+      });
+      return { ...product, img };
+    }
+    return product;
+  }
+
+  // Delete stored image files, logging the files that couldn't be deleted
+  // (the product no longer refers to them, so the request shouldn't fail)
+  async function removeFiles(images) {
+    for (const image of images) {
+      try {
+        await fileStorage.remove(image.key);
+      } catch (error) {
+        logger.error("Error deleting product image file", {
+          key: image.key,
+          error,
+        });
+      }
+    }
+  }
+
+  // Save uploaded image files and add them to the product
+  async function addImages(product, files) {
+    // Task list:
+    // • Check that files were uploaded and that they are images of an accepted type
+    // • Check that the product won't have more images than allowed
+    // • Save the files through the file storage
+    // • Add the images to the product, deleting the files if the product has filled up in the meantime
+    // • Point the product's main image at its first image
+    // • Return the updated product
+
+    // Check that every file is an image of an accepted type
+    if (!files || files.length === 0) {
+      throw new ValidationError(
+        "Upload at least one image in the images field"
+      );
+    }
+    const errors = [];
+    const uploads = files.map((file, index) => {
+      const type = detectImageType(file.buffer);
+      if (!type) {
+        errors.push({
+          field: `images[${index}]`,
+          message: `${file.originalname} must be a JPEG, PNG, GIF or WebP image`,
+        });
+      }
+      return { file, type };
+    });
+    if (errors.length > 0) {
+      throw new ValidationError("Invalid images", errors);
+    }
+
+    // Check the number of images
+    const imageCount = (product.images || []).length;
+    if (imageCount + files.length > PRODUCT_IMAGE_MAX_COUNT) {
+      throw new ValidationError(
+        `A product can have at most ${PRODUCT_IMAGE_MAX_COUNT} images (it has ${imageCount})`
+      );
+    }
+
+    // Save the files, under random names in a directory per product
+    const images = [];
+    try {
+      for (const { file, type } of uploads) {
+        const imageId = crypto.randomUUID();
+        const key = `products/${product._id}/${imageId}.${type.extension}`;
+        await fileStorage.save(key, file.buffer);
+        images.push({
+          imageId,
+          key,
+          url: fileStorage.url(key),
+          contentType: type.contentType,
+          size: file.size,
+          uploadedAt: new Date(),
+        });
+      }
+    } catch (error) {
+      await removeFiles(images);
+      throw error;
+    }
+
+    // Add the images, unless other uploads have filled the product up in the meantime
+    const updatedProduct = await repository.products.addImages(
+      product._id,
+      images,
+      PRODUCT_IMAGE_MAX_COUNT
+    );
+    if (!updatedProduct) {
+      await removeFiles(images);
+      throw new ConflictError(
+        `A product can have at most ${PRODUCT_IMAGE_MAX_COUNT} images`
+      );
+    }
+
+    return updateMainImage(updatedProduct);
+  }
+
+  // Put the product's images in the given order
+  async function reorderImages(product, imageIds) {
+    // The new order must list every image of the product once
+    if (!product.images?.length) {
+      throw new ValidationError("Product has no images to reorder");
+    }
+    const imagesById = new Map(
+      product.images.map((image) => [image.imageId, image])
+    );
+    if (
+      imageIds.length !== imagesById.size ||
+      new Set(imageIds).size !== imageIds.length ||
+      !imageIds.every((imageId) => imagesById.has(imageId))
+    ) {
+      throw new ValidationError(
+        "imageIds must list every image of the product once"
+      );
+    }
+
+    // Store the new order, unless images were added or removed in the meantime
+    const updatedProduct = await repository.products.reorderImages(
+      product._id,
+      imageIds.map((imageId) => imagesById.get(imageId))
+    );
+    if (!updatedProduct) {
+      throw new ConflictError(
+        "Product images were changed by another request, please retry"
+      );
+    }
+
+    return updateMainImage(updatedProduct);
+  }
+
+  // Remove an image from the product and delete its file
+  async function removeImage(product, imageId) {
+    const image = (product.images || []).find(
+      (candidate) => candidate.imageId === imageId
+    );
+    if (!image) {
+      throw new NotFoundError("Image not found");
+    }
+
+    // Remove the image from the product, then delete its file
+    const updatedProduct = await repository.products.removeImage(
+      product._id,
+      imageId
+    );
+    if (!updatedProduct) {
+      throw new NotFoundError("Image not found");
+    }
+    await removeFiles([image]);
+
+    return updateMainImage(updatedProduct, [image.url]);
+  }
+
+  // Delete the image files of a deleted product
+  async function removeProductImages(product) {
+    await removeFiles(product.images || []);
+  }
+
+  return { addImages, reorderImages, removeImage, removeProductImages };
+}
+
+module.exports = {
+  PRODUCT_IMAGE_MAX_SIZE,
+  PRODUCT_IMAGE_MAX_COUNT,
+  PRODUCT_IMAGE_MAX_UPLOAD,
+  detectImageType,
+  createProductImages,
+};
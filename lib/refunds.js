@@ -0,0 +1,193 @@
+// Standard Node.js modules
+const crypto = require("crypto");
+
+// Local modules
+const { AppError, ValidationError, ConflictError } = require("./errors");
+const { formatAmount } = require("./currency");
+const { logger } = require("./logger");
+
+// Order statuses of paid orders that can still be refunded
+const REFUNDABLE_ORDER_STATUSES = ["paid", "shipped", "delivered"];
+
+// Stripe errors that mean a refund wasn't made (after any other error, such as a timeout, it may have been)
+const REJECTED_REFUND_ERRORS = ["StripeInvalidRequestError", "StripeCardError"];
+
+// Get the amount charged for an order, in minor units of its currency: the order's share of its payment,
+// discount and tax included (orders created before amounts were recorded are charged their price and shipping per unit)
+function paidAmount(order) {
+  return (
+    order.amount ??
+    ((Number(order.price) || 0) + (Number(order.shipping) || 0)) *
+      order.quantity
+  );
+}
+
+// Get the amount of an order that hasn't been refunded yet
+function refundableAmount(order) {
+  return paidAmount(order) - (order.refundedAmount || 0);
+}
+
+// Create the refund functions for a repository, a payment client and the order service
+function createRefundService(repository, payments, { transitionOrder }) {
+  // Ask the payment provider for a refund recorded on an order, returning the updated order
+  // A refund the payment provider rejected is removed from the order, so the amount can be refunded again.
+  // After any other error the refund may have been made, so it is kept with the "unknown" status
+  // and the next refund of the order retries it with the same idempotency key.
+  async function requestRefund(order, refund) {
+    let paymentRefund;
+    try {
+      // A refund retried after Stripe's idempotency keys have expired is looked up first
+      paymentRefund =
+        (refund.status === "unknown" &&
+          (await payments.findRefund({
+            paymentIntentId: order.paymentIntentId,
+            refundId: refund.refundId,
+          }))) ||
+        (await payments.refund({
+          paymentIntentId: order.paymentIntentId,
+          amount: refund.amount,
+          metadata: { orderID: order.orderID, refundId: refund.refundId },
+          idempotencyKey: refund.refundId,
+        }));
+    } catch (error) {
+      logger.error("Error refunding order", { orderID: order.orderID, error });
+      if (REJECTED_REFUND_ERRORS.includes(error.type)) {
+        // Forget the refund, so the amount can be refunded again
+        await repository.orders.removeRefund(order._id, refund.refundId);
+        throw new AppError("The payment provider couldn't refund the order", {
+          statusCode: 502,
+          code: "refund_failed",
+        });
+      }
+      await repository.orders.updateRefund(order._id, refund.refundId, {
+        status: "unknown",
+      });
+      throw new AppError(
+        "The payment provider didn't confirm the refund, retry it to find out whether it was made",
+        { statusCode: 502, code: "refund_unconfirmed" }
+      );
+    }
+
+    // Record the payment provider's refund
+    return repository.orders.updateRefund(order._id, refund.refundId, {
+      paymentRefundId: paymentRefund.id,
+      status: paymentRefund.status,
+    });
+  }
+
+  // Refund some or all of a paid order through the payment provider
+  // Options:
+  // • amount: the amount to refund, in minor units of the order's currency (everything left by default)
+  // • reason: why the order is refunded, recorded with the refund
+  // • refundedBy: the UID of the user issuing the refund
+  // • updateStatus: move the order to the refunded status once it is refunded in full (true by default)
+  async function refundOrder(
+    order,
+    { amount, reason, refundedBy, updateStatus = true }
+  ) {
+    // Task list:
+    // • Check that the order was paid and can still be refunded
+    // • Retry a refund whose outcome is unknown before refunding anything else
+    // • Check that the amount isn't more than what is left to refund
+    // • Record the refund on the order, so concurrent refunds can't go over the amount paid
+    // • Refund the payment intent, forgetting the refund if the payment provider rejects it
+    // • Move the order to the refunded status once it is refunded in full
+    // • Return the refund and the updated order
+
+    // Only paid orders that haven't been refunded or cancelled can be refunded
+    if (
+      !order.paymentIntentId ||
+      order.paymentStatus !== "succeeded" ||
+      !REFUNDABLE_ORDER_STATUSES.includes(order.status)
+    ) {
+      throw new ConflictError("Only paid orders can be refunded");
+    }
+
+    // Retry a refund the payment provider didn't confirm, with its own idempotency key so it can't be made twice
+    // (a request for the same amount is taken as a retry of it, and a full refund refunds what is left after it)
+    let refundId;
+    let updatedOrder = order;
+    const unconfirmed = order.refunds?.find(
+      (candidate) => candidate.status === "unknown"
+    );
+    if (unconfirmed) {
+      if (amount !== undefined && amount !== unconfirmed.amount) {
+        throw new ConflictError(
+          `A refund of ${formatAmount(
+            unconfirmed.amount,
+            order.currency
+          )} hasn't been confirmed by the payment provider, retry it before refunding anything else`
+        );
+      }
+      updatedOrder = await requestRefund(order, unconfirmed);
+      refundId = unconfirmed.refundId;
+    }
+
+    // Refund everything left by default, never more than that
+    const remaining = refundableAmount(updatedOrder);
+    if (!unconfirmed || (amount === undefined && remaining > 0)) {
+      const refundAmount = amount ?? remaining;
+      if (remaining <= 0) {
+        throw new ConflictError("Order has already been refunded in full");
+      }
+      if (refundAmount > remaining) {
+        throw new ValidationError(
+          `Refund can't be more than the ${formatAmount(
+            remaining,
+            order.currency
+          )} left to refund`
+        );
+      }
+
+      // Record the refund before asking for it, so concurrent refunds can't go over the amount paid
+      const refund = {
+        refundId: crypto.randomUUID(),
+        amount: refundAmount,
+        currency: order.currency,
+        reason,
+        status: "pending",
+        refundedBy,
+        createdAt: new Date(),
+      };
+      const recordedOrder = await repository.orders.addRefund(
+        order._id,
+        refund,
+        paidAmount(order)
+      );
+      if (!recordedOrder) {
+        throw new ConflictError(
+          "Order was refunded by another request, please retry"
+        );
+      }
+
+      // Refund the payment intent, reusing the refund ID so a retried request isn't refunded twice
+      updatedOrder = await requestRefund(recordedOrder, refund);
+      refundId = refund.refundId;
+    }
+
+    // Move the order to the refunded status once nothing is left to refund
+    if (updateStatus && refundableAmount(updatedOrder) <= 0) {
+      updatedOrder =
+        (await transitionOrder(updatedOrder, "refunded", {
+          note: reason,
+          changedBy: refundedBy,
+        })) ?? updatedOrder;
+    }
+
+    return {
+      refund: updatedOrder.refunds.find(
+        (candidate) => candidate.refundId === refundId
+      ),
+      order: updatedOrder,
+    };
+  }
+
+  return { refundOrder };
+}
+
+module.exports = {
+  REFUNDABLE_ORDER_STATUSES,
+  paidAmount,
+  refundableAmount,
+  createRefundService,
+};
@@ -0,0 +1,25 @@
+// Run an async operation, retrying it with exponential backoff when it fails
+// Options: retries (attempts after the first one), initialDelay and maxDelay (in milliseconds),
+// onRetry (called with the error, the attempt number and the delay before the next attempt)
+async function retryWithBackoff(
+  operation,
+  { retries = 5, initialDelay = 1000, maxDelay = 30000, onRetry } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      // Give up once every retry has been used
+      if (attempt > retries) {
+        throw error;
+      }
+
+      // Wait twice as long after each failed attempt, up to the maximum delay
+      const delay = Math.min(initialDelay * 2 ** (attempt - 1), maxDelay);
+      onRetry?.(error, attempt, delay);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = { retryWithBackoff };
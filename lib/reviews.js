@@ -0,0 +1,23 @@
+// Order statuses that count as a completed purchase for verified reviews
+const PURCHASED_ORDER_STATUSES = ["paid", "shipped", "delivered"];
+
+// Create the product rating functions for a repository and the catalog cache
+function createReviewService(repository, { invalidate }) {
+  // Recalculate a product's average rating and review count from its visible reviews
+  async function refreshProductRating(productId) {
+    const stats = await repository.reviews.ratingStats(productId);
+
+    // Store the rating on the product, using the star fields the storefront already shows
+    await repository.products.setRating(productId, {
+      star: stats ? Math.round(stats.average * 10) / 10 : 0,
+      starCount: stats?.count || 0,
+    });
+
+    // Drop the cached catalog responses, so they show the new rating
+    invalidate();
+  }
+
+  return { refreshProductRating };
+}
+
+module.exports = { PURCHASED_ORDER_STATUSES, createReviewService };
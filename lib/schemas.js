@@ -0,0 +1,135 @@
+// Payload schemas
+// Each field lists its type, whether it is required and its allowed range or length.
+// Fields that aren't listed in a schema are stripped from the payload.
+
+// Local modules
+const { CURRENCY_CODES } = require("./currency");
+
+// Coupon configuration
+const COUPON_TYPES = ["percentage", "fixed"]; // Percentage off, or a fixed amount off
+
+// Decisions a seller or an admin can make on a buyer's cancellation request
+const CANCEL_REQUEST_DECISIONS = ["approve", "decline"];
+
+const productSchema = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 200 },
+  sku: { type: "string", minLength: 1, maxLength: 100 }, // Seller's own product code, unique per seller
+  key: { type: "string", maxLength: 100 },
+  category: { type: "string", maxLength: 100 },
+  seller: { type: "string", maxLength: 100 },
+  // Prices are integers in the minor unit (cents) of the product's currency
+  price: { type: "integer", required: true, min: 0, max: 100000000 },
+  shipping: { type: "integer", min: 0, max: 1000000 },
+  currency: { type: "string", values: CURRENCY_CODES },
+  stock: { type: "integer", min: 0, max: 1000000 },
+  img: { type: "string", maxLength: 2048 },
+  url: { type: "string", maxLength: 2048 },
+  features: {
+    type: "array",
+    maxItems: 50,
+    items: {
+      type: "object",
+      fields: {
+        description: { type: "string", maxLength: 200 },
+        value: { type: "string", maxLength: 500 },
+      },
+    },
+  },
+};
+
+// Stock changes go through the stock adjustment route, so product updates can't set it
+const { stock: _stock, ...productUpdateSchema } = productSchema;
+
+// Imported products are matched to the seller's existing products by SKU, so it is required
+const productImportSchema = {
+  ...productSchema,
+  sku: { ...productSchema.sku, required: true },
+};
+
+// Order IDs are generated by the server, so an orderID sent by the client is stripped
+const orderSchema = {
+  productId: { type: "objectId" },
+  _id: { type: "objectId" }, // The cart sends the ordered product's ID as _id
+  quantity: { type: "integer", required: true, min: 1, max: 1000 },
+  img: { type: "string", maxLength: 2048 },
+  paymentIntentId: { type: "string", maxLength: 255 },
+  currency: { type: "string", values: CURRENCY_CODES }, // Currency the buyer is charged in
+  shipment: {
+    type: "object",
+    fields: {
+      name: { type: "string", maxLength: 200 },
+      email: { type: "string", maxLength: 320 },
+      phone: { type: "string", maxLength: 50 },
+      address: { type: "string", maxLength: 500 },
+      city: { type: "string", maxLength: 100 },
+      zip: { type: "string", maxLength: 20 },
+      country: { type: "string", maxLength: 100 },
+    },
+  },
+};
+
+const refundSchema = {
+  // Amount to refund in the minor unit of the order's currency (everything left to refund by default)
+  amount: { type: "integer", min: 1, max: 100000000000 },
+  reason: { type: "string", required: true, minLength: 1, maxLength: 500 },
+};
+
+const cancelRequestSchema = {
+  reason: { type: "string", required: true, minLength: 1, maxLength: 500 },
+};
+
+const cancelRequestDecisionSchema = {
+  decision: {
+    type: "string",
+    required: true,
+    values: CANCEL_REQUEST_DECISIONS,
+  },
+  note: { type: "string", maxLength: 500 },
+};
+
+const reviewSchema = {
+  productId: { type: "objectId", required: true },
+  name: { type: "string", maxLength: 100 },
+  img: { type: "string", maxLength: 2048 },
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  comment: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+};
+
+const couponSchema = {
+  code: {
+    type: "string",
+    required: true,
+    minLength: 3,
+    maxLength: 32,
+    pattern: /^[A-Za-z0-9_-]+$/,
+    patternMessage: "must only contain letters, digits, _ and -",
+  },
+  type: { type: "string", required: true, values: COUPON_TYPES },
+  // A percentage, or an amount in the minor unit of the coupon's currency for fixed coupons
+  // (the coupon routes check it against the type: at most 100, or a whole number of minor units)
+  value: { type: "number", required: true, min: 0.01, max: 100000000 },
+  minCartValue: { type: "integer", min: 0, max: 100000000 },
+  currency: { type: "string", values: CURRENCY_CODES },
+  expiresAt: { type: "date" },
+  usageLimit: { type: "integer", min: 1 },
+  perUserLimit: { type: "integer", min: 1 },
+  active: { type: "boolean" },
+};
+
+// A coupon's code identifies it, so it can't be changed by an update
+const { code: _code, ...couponUpdateSchema } = couponSchema;
+
+module.exports = {
+  COUPON_TYPES,
+  CANCEL_REQUEST_DECISIONS,
+  productSchema,
+  productUpdateSchema,
+  productImportSchema,
+  orderSchema,
+  refundSchema,
+  cancelRequestSchema,
+  cancelRequestDecisionSchema,
+  reviewSchema,
+  couponSchema,
+  couponUpdateSchema,
+};
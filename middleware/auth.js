@@ -0,0 +1,79 @@
+// Local modules
+const { UnauthorizedError, ForbiddenError } = require("../lib/errors");
+
+// Marketplace roles, stored as the "roles" custom claim on each user
+const ROLES = ["admin", "seller", "buyer"];
+
+// Roles given to users who haven't been assigned any roles by an admin
+// (selling has to be granted, so new sign-ups can't list products straight away)
+const DEFAULT_ROLES = (process.env.DEFAULT_ROLES || "buyer")
+  .split(",")
+  .map((role) => role.trim())
+  .filter((role) => ROLES.includes(role));
+
+// Get the roles of an authenticated user from their decoded token
+function getUserRoles(decodedToken) {
+  return Array.isArray(decodedToken.roles) ? decodedToken.roles : DEFAULT_ROLES;
+}
+
+// Create the authentication and authorization middleware for an auth verifier
+// (Firebase in production, the fixture users when running offline)
+function createAuthMiddleware(authVerifier) {
+  // Authentication middleware
+  // Verify the ID token and attach the decoded token to req.user
+  async function verifyFirebaseToken(req, res, next) {
+    // Task list:
+    // • Get the ID token from the Authorization header
+    // • Verify the token using the auth verifier
+    // • Attach the decoded token to the request and continue
+    // • Reject requests with a missing or invalid token
+
+    // Get the ID token from the request headers
+    const idToken = req.headers.authorization?.split("Bearer ")[1];
+
+    // Check if the idToken is missing or undefined
+    if (!idToken) {
+      // If no token is provided, reject the request with a 401 Unauthorized status
+      // and an error message indicating that authentication is required
+      return next(new UnauthorizedError("Unauthorized: No token provided"));
+    }
+
+    try {
+      // Verify the ID token, rejecting tokens issued before the user's sessions were revoked
+      req.user = await authVerifier.verifyIdToken(idToken, true);
+    } catch (error) {
+      // Log the verification failure and reject the request
+      req.log.warn("ID token verification failed", { reason: error.message });
+      return next(new UnauthorizedError("Unauthorized: Invalid token"));
+    }
+
+    next();
+  }
+
+  // Authorization middleware
+  // Verify the ID token and allow the request only if the user has one of the given roles
+  function authorize(...allowedRoles) {
+    return [
+      verifyFirebaseToken,
+      (req, res, next) => {
+        // Attach the user's roles to the request for the route handlers
+        req.user.roles = getUserRoles(req.user);
+
+        // Reject users that have none of the allowed roles
+        if (!req.user.roles.some((role) => allowedRoles.includes(role))) {
+          return next(
+            new ForbiddenError(
+              `Forbidden: Requires one of the roles: ${allowedRoles.join(", ")}`
+            )
+          );
+        }
+
+        next();
+      },
+    ];
+  }
+
+  return { verifyFirebaseToken, authorize };
+}
+
+module.exports = { ROLES, getUserRoles, createAuthMiddleware };
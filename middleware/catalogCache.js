@@ -0,0 +1,100 @@
+// Standard Node.js modules
+const crypto = require("crypto");
+
+// Catalog cache configuration
+const CATALOG_CACHE_TTL = parseInt(process.env.CATALOG_CACHE_TTL) || 30; // Time a cached response is served for (seconds)
+const CATALOG_CACHE_MAX_ENTRIES =
+  parseInt(process.env.CATALOG_CACHE_MAX_ENTRIES) || 500; // Responses kept, dropping the least recently used first
+const CATALOG_MAX_AGE = parseInt(process.env.CATALOG_MAX_AGE) || 0; // Time clients may reuse a response without revalidating it (seconds)
+
+// Cache-Control header of catalog responses
+// (clients revalidate with If-None-Match once max-age has passed, getting a 304 if nothing changed)
+const CACHE_CONTROL = `public, max-age=${CATALOG_MAX_AGE}, must-revalidate`;
+
+// Send a cached response with its ETag (Express answers with a 304 Not Modified when If-None-Match matches)
+function sendEntry(res, entry, status) {
+  res.set({
+    ETag: entry.etag,
+    "Cache-Control": CACHE_CONTROL,
+    "X-Cache": status,
+  });
+  res.type("json");
+  return res.send(entry.body);
+}
+
+// Create the in-process cache for catalog responses
+// Responses are kept in memory, so each server instance has its own cache
+function createCatalogCache() {
+  const entries = new Map(); // URL => { body, etag, expiresAt }, least recently used first
+
+  // Incremented by every invalidation, so responses computed from older data aren't stored
+  let generation = 0;
+
+  // Store a response, dropping the least recently used ones once the cache is full
+  function store(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > CATALOG_CACHE_MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Caching middleware
+  // Serve the response from the cache when it has a fresh copy for the URL,
+  // otherwise cache the JSON response the route handler sends
+  function cacheResponse(req, res, next) {
+    // Task list:
+    // • Send the cached response for the URL (query string included) if it hasn't expired
+    // • Otherwise capture the JSON response sent by the route handler
+    // • Store successful responses with an ETag computed from their body
+    // • Send every response with its ETag and Cache-Control headers
+
+    const key = req.originalUrl;
+
+    // Send the cached response, marking it as the most recently used
+    const cachedEntry = entries.get(key);
+    if (cachedEntry && cachedEntry.expiresAt > Date.now()) {
+      store(key, cachedEntry);
+      return sendEntry(res, cachedEntry, "HIT");
+    }
+    entries.delete(key);
+
+    // Capture the response sent by the route handler
+    const startGeneration = generation;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      // Errors aren't cached
+      if (res.statusCode !== 200) {
+        return json(body);
+      }
+
+      const serialized = JSON.stringify(body);
+      const entry = {
+        body: serialized,
+        etag: `"${crypto
+          .createHash("sha1")
+          .update(serialized)
+          .digest("base64url")}"`,
+        expiresAt: Date.now() + CATALOG_CACHE_TTL * 1000,
+      };
+
+      // Skip storing the response if the catalog changed while it was being computed
+      if (generation === startGeneration) {
+        store(key, entry);
+      }
+      return sendEntry(res, entry, "MISS");
+    };
+
+    next();
+  }
+
+  // Drop every cached response, once the catalog has changed
+  function invalidate() {
+    generation += 1;
+    entries.clear();
+  }
+
+  return { cacheResponse, invalidate };
+}
+
+module.exports = { createCatalogCache };
@@ -0,0 +1,97 @@
+// Local modules
+const { logger } = require("../lib/logger");
+const { AppError, ValidationError, NotFoundError } = require("../lib/errors");
+
+// Wrap an async route handler so its errors reach the error middleware
+// (Express 4 doesn't pass rejected promises to next on its own)
+function asyncHandler(handler) {
+  return (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Not found middleware
+// Answer requests that didn't match any route with a JSON error
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+}
+
+// Convert the client errors raised by other middleware into typed errors
+// Returns null for unexpected errors
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // Request bodies body-parser couldn't parse
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError("Invalid JSON in request body");
+  }
+
+  // Uploads multer rejected, such as files over the size limit
+  if (error.name === "MulterError") {
+    return error.code === "LIMIT_FILE_SIZE"
+      ? new AppError(error.message, {
+          statusCode: 413,
+          code: "file_too_large",
+        })
+      : new ValidationError(error.message);
+  }
+
+  // Other client errors body-parser raises, such as bodies over the size limit
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, {
+      statusCode: error.status,
+      code: error.type ? error.type.replace(/\./g, "_") : "bad_request",
+    });
+  }
+
+  return null;
+}
+
+// Error-handling middleware
+// Send every error as JSON in the same format: { error, code, details?, requestId }
+function errorHandler(error, req, res, next) {
+  // Task list:
+  // • Map typed errors to their status code and message
+  // • Log unexpected errors and hide their details behind a 500 response
+  // • Include the request ID so the client can quote it when reporting a problem
+
+  const log = req.log || logger;
+
+  // Let Express close the connection if the response has already started
+  if (res.headersSent) {
+    log.error("Error after the response was sent", { error });
+    return next(error);
+  }
+
+  const appError = toAppError(error);
+
+  // Unexpected errors are logged with their stack, but never sent to the client
+  if (!appError) {
+    log.error("Unhandled error", {
+      method: req.method,
+      path: req.originalUrl,
+      error,
+    });
+    return res.status(500).json({
+      error: "Internal server error",
+      code: "internal_error",
+      requestId: req.id,
+    });
+  }
+
+  // Tell rate-limited clients when they may try again
+  if (appError.retryAfter) {
+    res.set("Retry-After", String(appError.retryAfter));
+  }
+
+  // Send the client error with its status code
+  res.status(appError.statusCode).json({
+    error: appError.message,
+    code: appError.code,
+    ...(appError.details && { details: appError.details }),
+    requestId: req.id,
+  });
+}
+
+module.exports = { asyncHandler, notFoundHandler, errorHandler };
@@ -0,0 +1,145 @@
+// Standard Node.js modules
+const crypto = require("crypto");
+
+// Local modules
+const { asyncHandler } = require("./errors");
+const { ValidationError, ConflictError } = require("../lib/errors");
+const { DuplicateKeyError } = require("../storage/errors");
+
+// Time an idempotency key and its stored response are kept (seconds, 24 hours by default)
+const IDEMPOTENCY_KEY_TTL = parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 86400;
+
+// Longest Idempotency-Key header accepted
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Serialize a value as JSON with the object keys sorted,
+// so the same body hashes the same whatever order its fields were sent in
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+// Hash a request body
+function hashBody(body) {
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson(body ?? null))
+    .digest("hex");
+}
+
+// Create the idempotency middleware for a repository
+function createIdempotency(repository) {
+  // Idempotency middleware
+  // Let clients safely retry a request by sending the same Idempotency-Key header:
+  // the first successful response is stored and sent again for every retry with the same body
+  function idempotent(scope) {
+    return asyncHandler(async (req, res, next) => {
+      // Task list:
+      // • Skip requests without an Idempotency-Key header
+      // • Record the key with a hash of the request body, scoped to the user and the route
+      // • Replay the stored response when the key is reused with the same body
+      // • Reject reuses of the key with a different body, or while the first request is still running
+      // • Store the response once it is sent, or forget the key if the request failed
+
+      // Idempotency keys are optional
+      const idempotencyKey = req.get("Idempotency-Key");
+      if (idempotencyKey === undefined) {
+        return next();
+      }
+      if (
+        !idempotencyKey ||
+        idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH
+      ) {
+        throw new ValidationError(
+          `Idempotency-Key must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters long`
+        );
+      }
+
+      // Keys are scoped to the user and the route, so different users can't collide or see each other's responses
+      const key = `${scope}:${req.user.uid}:${idempotencyKey}`;
+      const requestHash = hashBody(req.body);
+
+      // Record the key, unless a request already used it
+      const now = new Date();
+      try {
+        await repository.idempotencyKeys.reserve({
+          _id: key,
+          requestHash,
+          createdAt: now,
+          expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL * 1000),
+        });
+      } catch (error) {
+        if (!(error instanceof DuplicateKeyError)) {
+          throw error;
+        }
+
+        // The key has already been used
+        const record = await repository.idempotencyKeys.find(key);
+        if (!record) {
+          throw new ConflictError(
+            "A request with this Idempotency-Key has just finished, please retry"
+          );
+        }
+        if (record.requestHash !== requestHash) {
+          throw new ConflictError(
+            "Idempotency-Key was already used with a different request body"
+          );
+        }
+        if (!record.response) {
+          throw new ConflictError(
+            "A request with this Idempotency-Key is still being processed"
+          );
+        }
+
+        // Send the stored response again
+        res.set("Idempotent-Replayed", "true");
+        return res
+          .status(record.response.statusCode)
+          .type("json")
+          .send(record.response.body);
+      }
+
+      // Keep a copy of the JSON response sent by the route handler
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = JSON.stringify(body);
+        return json(body);
+      };
+
+      // Store successful responses, and forget the key when the request failed
+      // or the client went away before the response was sent, so the request can be retried
+      res.on("close", () => {
+        const succeeded =
+          res.writableFinished &&
+          res.statusCode >= 200 &&
+          res.statusCode < 300 &&
+          responseBody !== undefined;
+        const saved = succeeded
+          ? repository.idempotencyKeys.complete(key, {
+              statusCode: res.statusCode,
+              body: responseBody,
+            })
+          : repository.idempotencyKeys.remove(key);
+        saved.catch((error) =>
+          req.log.error("Error saving idempotency key", { key, error })
+        );
+      });
+
+      next();
+    });
+  }
+
+  return { idempotent };
+}
+
+module.exports = { IDEMPOTENCY_KEY_TTL, createIdempotency };
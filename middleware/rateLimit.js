@@ -0,0 +1,118 @@
+// Local modules
+const { asyncHandler } = require("./errors");
+const { TooManyRequestsError } = require("../lib/errors");
+
+// Parse a rate limit of the form "<requests>/<seconds>", falling back to the default if it's invalid
+function parseRateLimit(value, fallback) {
+  const [limit, seconds] = String(value ?? "")
+    .split("/")
+    .map((part) => parseInt(part));
+  if (!Number.isInteger(limit) || limit < 0 || !(seconds > 0)) {
+    return fallback;
+  }
+  return { limit, windowMs: seconds * 1000 };
+}
+
+// Request budgets per route group, counted per IP address and, on routes that require a token, per user
+// Configured as RATE_LIMIT_<GROUP>=<requests>/<seconds> (per user, or per IP for public groups)
+// and RATE_LIMIT_<GROUP>_IP=<requests>/<seconds> (per IP for groups that are also counted per user)
+// A limit of 0 turns that budget off
+const RATE_LIMITS = {
+  // Product search (per IP): 60 requests per minute
+  search: {
+    ip: parseRateLimit(process.env.RATE_LIMIT_SEARCH, {
+      limit: 60,
+      windowMs: 60 * 1000,
+    }),
+  },
+  // New product reviews: 10 per hour per user, 50 per hour per IP
+  reviews: {
+    user: parseRateLimit(process.env.RATE_LIMIT_REVIEWS, {
+      limit: 10,
+      windowMs: 60 * 60 * 1000,
+    }),
+    ip: parseRateLimit(process.env.RATE_LIMIT_REVIEWS_IP, {
+      limit: 50,
+      windowMs: 60 * 60 * 1000,
+    }),
+  },
+  // New orders: 20 per 15 minutes per user, 100 per 15 minutes per IP
+  orders: {
+    user: parseRateLimit(process.env.RATE_LIMIT_ORDERS, {
+      limit: 20,
+      windowMs: 15 * 60 * 1000,
+    }),
+    ip: parseRateLimit(process.env.RATE_LIMIT_ORDERS_IP, {
+      limit: 100,
+      windowMs: 15 * 60 * 1000,
+    }),
+  },
+  // Payment intents and coupon checks: 10 per minute per user, 50 per minute per IP
+  checkout: {
+    user: parseRateLimit(process.env.RATE_LIMIT_CHECKOUT, {
+      limit: 10,
+      windowMs: 60 * 1000,
+    }),
+    ip: parseRateLimit(process.env.RATE_LIMIT_CHECKOUT_IP, {
+      limit: 50,
+      windowMs: 60 * 1000,
+    }),
+  },
+};
+
+// Create the rate limiting middleware for a rate limit store (ratelimit/memory.js)
+function createRateLimiter(store) {
+  // Rate limiting middleware
+  // Count the request against the route group's budget per IP address ("ip", before authorize,
+  // so requests with invalid tokens are counted too) or per authenticated user ("user", after authorize)
+  function rateLimit(group, countedPer = "ip") {
+    const { limit, windowMs } = RATE_LIMITS[group][countedPer];
+
+    return asyncHandler(async (req, res, next) => {
+      // Task list:
+      // • Identify the client by its IP address, or by its user ID for per-user budgets
+      // • Count the request in the client's current window for the route group
+      // • Report the remaining budget in the RateLimit headers
+      // • Reject the request with a 429 status and a Retry-After header once the budget is spent
+
+      // Skip budgets that are turned off
+      if (limit === 0) {
+        return next();
+      }
+
+      // Count the request against the client's budget for the route group
+      const client =
+        countedPer === "user" ? `user:${req.user.uid}` : `ip:${req.ip}`;
+      const { count, resetAt } = await store.increment(
+        `${group}:${client}`,
+        windowMs
+      );
+      const resetSeconds = Math.max(
+        1,
+        Math.ceil((resetAt - Date.now()) / 1000)
+      );
+
+      // Let clients see how much of their budget is left
+      res.set({
+        "RateLimit-Limit": String(limit),
+        "RateLimit-Remaining": String(Math.max(0, limit - count)),
+        "RateLimit-Reset": String(resetSeconds),
+      });
+
+      // Reject requests over the budget until the window ends
+      if (count > limit) {
+        req.log.warn("Rate limit exceeded", { group, client, limit });
+        throw new TooManyRequestsError(
+          "Too many requests, please try again later",
+          resetSeconds
+        );
+      }
+
+      next();
+    });
+  }
+
+  return { rateLimit };
+}
+
+module.exports = { RATE_LIMITS, createRateLimiter };
@@ -0,0 +1,43 @@
+// Standard Node.js modules
+const crypto = require("crypto");
+
+// Local modules
+const { logger } = require("../lib/logger");
+
+// Request IDs sent by the client (or a proxy) are kept only if they are safe to echo and log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Request ID middleware
+// Give every request an ID, returned in the X-Request-Id header and included in its logs
+function requestId(req, res, next) {
+  // Task list:
+  // • Reuse the client's X-Request-Id when it is valid, otherwise generate one
+  // • Send the request ID back in the X-Request-Id response header
+  // • Attach a logger that includes the request ID to the request
+  // • Log the method, path, status code and duration once the response is sent
+
+  const incomingId = req.get("X-Request-Id");
+  req.id =
+    incomingId && REQUEST_ID_PATTERN.test(incomingId)
+      ? incomingId
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  // Logger for the route handlers, tagging every entry with the request ID
+  req.log = logger.child({ requestId: req.id });
+
+  // Log the request once the response has been sent
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    req.log.info("Request completed", {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    });
+  });
+
+  next();
+}
+
+module.exports = { requestId };
@@ -0,0 +1,220 @@
+// Third-party packages
+const { ObjectId } = require("mongodb"); // Used to check that IDs are valid
+
+// Local modules
+const { ValidationError } = require("../lib/errors");
+
+// Check a single value against its field rules, returning an error message if it doesn't match
+function checkValue(rules, value) {
+  switch (rules.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (rules.values && !rules.values.includes(value))
+        return `must be one of: ${rules.values.join(", ")}`;
+      if (rules.pattern && !rules.pattern.test(value))
+        return rules.patternMessage || "has an invalid format";
+      if (
+        rules.minLength !== undefined &&
+        value.trim().length < rules.minLength
+      )
+        return `must be at least ${rules.minLength} characters long`;
+      if (rules.maxLength !== undefined && value.length > rules.maxLength)
+        return `must be at most ${rules.maxLength} characters long`;
+      return null;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value))
+        return "must be a number";
+      if (rules.type === "integer" && !Number.isInteger(value))
+        return "must be an integer";
+      if (rules.min !== undefined && value < rules.min)
+        return `must be at least ${rules.min}`;
+      if (rules.max !== undefined && value > rules.max)
+        return `must be at most ${rules.max}`;
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be a boolean";
+    case "date":
+      return typeof value === "string" && !isNaN(new Date(value))
+        ? null
+        : "must be a valid date";
+    case "objectId":
+      return typeof value === "string" && ObjectId.isValid(value)
+        ? null
+        : "must be a valid ID";
+    case "array":
+      if (!Array.isArray(value)) return "must be an array";
+      if (rules.maxItems !== undefined && value.length > rules.maxItems)
+        return `must have at most ${rules.maxItems} items`;
+      return null;
+    case "object":
+      return value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value)
+        ? null
+        : "must be an object";
+    default:
+      return null;
+  }
+}
+
+// Validate and sanitize a payload against a schema
+// Returns the sanitized value (unknown fields stripped) and a list of field-level errors
+function validatePayload(schema, payload, { partial = false, path = "" } = {}) {
+  const errors = [];
+  const value = {};
+
+  // The payload itself must be an object
+  if (
+    payload === null ||
+    typeof payload !== "object" ||
+    Array.isArray(payload)
+  ) {
+    return {
+      value,
+      errors: [{ field: path || "body", message: "must be an object" }],
+    };
+  }
+
+  // Reject operator keys, which could change the meaning of database queries and updates
+  for (const key of Object.keys(payload)) {
+    if (key.startsWith("$")) {
+      errors.push({
+        field: `${path}${key}`,
+        message: "field names can't start with $",
+      });
+    }
+  }
+
+  // Check every field in the schema, ignoring the unknown ones
+  for (const [field, rules] of Object.entries(schema)) {
+    const fieldPath = `${path}${field}`;
+    const fieldValue = payload[field];
+
+    // Report missing required fields (unless only some fields are being updated)
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rules.required && !partial) {
+        errors.push({ field: fieldPath, message: "is required" });
+      }
+      continue;
+    }
+
+    // Check the field's type and range
+    const message = checkValue(rules, fieldValue);
+    if (message) {
+      errors.push({ field: fieldPath, message });
+      continue;
+    }
+
+    // Validate nested objects and the items of arrays
+    if (rules.type === "object" && rules.fields) {
+      const nested = validatePayload(rules.fields, fieldValue, {
+        path: `${fieldPath}.`,
+      });
+      errors.push(...nested.errors);
+      value[field] = nested.value;
+    } else if (rules.type === "array" && rules.items) {
+      value[field] = fieldValue.map((item, index) => {
+        const itemPath = `${fieldPath}[${index}]`;
+        if (rules.items.type !== "object") {
+          const itemMessage = checkValue(rules.items, item);
+          if (itemMessage)
+            errors.push({ field: itemPath, message: itemMessage });
+          return item;
+        }
+        const nested = validatePayload(rules.items.fields, item, {
+          path: `${itemPath}.`,
+        });
+        errors.push(...nested.errors);
+        return nested.value;
+      });
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  return { value, errors };
+}
+
+// Validation middleware
+// Validate the request body against a schema and replace it with the sanitized value
+// Options: partial (required fields may be missing), array (the body is an array of items)
+function validateBody(schema, { partial = false, array = false } = {}) {
+  return (req, res, next) => {
+    let errors;
+
+    if (array) {
+      // Ensure the body is a non-empty array and validate each item
+      if (!Array.isArray(req.body) || req.body.length === 0) {
+        errors = [{ field: "body", message: "must be a non-empty array" }];
+      } else {
+        const results = req.body.map((item, index) =>
+          validatePayload(schema, item, { partial, path: `[${index}].` })
+        );
+        errors = results.flatMap((result) => result.errors);
+        req.body = results.map((result) => result.value);
+      }
+    } else {
+      const result = validatePayload(schema, req.body, { partial });
+      errors = result.errors;
+      req.body = result.value;
+    }
+
+    // An update needs at least one valid field
+    if (
+      errors.length === 0 &&
+      partial &&
+      !array &&
+      Object.keys(req.body).length === 0
+    ) {
+      errors = [{ field: "body", message: "must contain at least one field" }];
+    }
+
+    // Reject the request with a 400 Bad Request status and the field-level errors
+    if (errors.length > 0) {
+      return next(new ValidationError("Validation failed", errors));
+    }
+
+    next();
+  };
+}
+
+// Parse an optional numeric query parameter, collecting an error if it isn't a number
+function parseNumberParam(query, name, errors, { min, max, integer } = {}) {
+  if (query[name] === undefined || query[name] === "") {
+    return undefined;
+  }
+
+  const value = Number(query[name]);
+  if (
+    !Number.isFinite(value) ||
+    (integer && !Number.isInteger(value)) ||
+    (min !== undefined && value < min) ||
+    (max !== undefined && value > max)
+  ) {
+    errors.push({
+      field: name,
+      message: `must be ${integer ? "an integer" : "a number"}${
+        min !== undefined ? ` of at least ${min}` : ""
+      }${max !== undefined ? ` and at most ${max}` : ""}`,
+    });
+    return undefined;
+  }
+
+  return value;
+}
+
+// Parse an ID from the request parameters, rejecting values that aren't valid ObjectIds
+function parseObjectId(value, label = "ID") {
+  if (typeof value !== "string" || !ObjectId.isValid(value)) {
+    throw new ValidationError(`Invalid ${label}`);
+  }
+  return new ObjectId(value);
+}
+
+module.exports = {
+  validatePayload,
+  validateBody,
+  parseNumberParam,
+  parseObjectId,
+};
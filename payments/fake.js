@@ -0,0 +1,93 @@
+// Standard Node.js modules
+const crypto = require("crypto");
+
+// Create a payment client that never talks to Stripe, for running the API offline
+// Payment intents and refunds get random IDs, and webhook events are posted as plain Stripe-shaped JSON
+// (signed with the webhook secret in the Stripe-Signature header, when one is configured)
+// Payment intents are kept in memory, and a posted event moves its payment intent to the event's status
+function createFakePayments({ webhookSecret } = {}) {
+  const paymentIntents = new Map(); // Payment intent ID => payment intent
+  const refunds = new Map(); // Idempotency key => refund
+
+  // Statuses payment intents take on for each handled event type
+  const EVENT_STATUSES = {
+    "payment_intent.succeeded": "succeeded",
+    "payment_intent.payment_failed": "requires_payment_method",
+    "payment_intent.canceled": "canceled",
+  };
+
+  return {
+    // Create a payment intent, returning its ID and a client secret in Stripe's format
+    async createPaymentIntent({ amount, currency, metadata }) {
+      const id = `pi_fake_${crypto.randomUUID().replace(/-/g, "")}`;
+      paymentIntents.set(id, {
+        id,
+        amount,
+        currency,
+        status: "requires_payment_method",
+        metadata: metadata || {},
+      });
+      return {
+        id,
+        clientSecret: `${id}_secret_${crypto.randomBytes(12).toString("hex")}`,
+      };
+    },
+
+    // Retrieve a payment intent created by this client
+    async retrievePaymentIntent(id) {
+      const paymentIntent = paymentIntents.get(id);
+      if (!paymentIntent) {
+        throw new Error(`No such payment intent: ${id}`);
+      }
+      return { ...paymentIntent };
+    },
+
+    // Refund a payment intent, returning a refund that succeeded straight away
+    // (once per idempotency key, as Stripe does)
+    async refund({ paymentIntentId, amount, metadata, idempotencyKey }) {
+      if (!refunds.has(idempotencyKey)) {
+        refunds.set(idempotencyKey, {
+          id: `re_fake_${crypto.randomUUID().replace(/-/g, "")}`,
+          paymentIntentId,
+          amount,
+          status: "succeeded",
+          metadata: metadata || {},
+        });
+      }
+      const refund = refunds.get(idempotencyKey);
+      return { id: refund.id, amount: refund.amount, status: refund.status };
+    },
+
+    // Find a refund of a payment intent by the refund ID it was created with, or null if there is none
+    async findRefund({ paymentIntentId, refundId }) {
+      const refund = [...refunds.values()].find(
+        (candidate) =>
+          candidate.paymentIntentId === paymentIntentId &&
+          candidate.metadata.refundId === refundId
+      );
+      return refund
+        ? { id: refund.id, amount: refund.amount, status: refund.status }
+        : null;
+    },
+
+    // Parse a webhook event, checking its signature only if a webhook secret is configured
+    constructWebhookEvent(rawBody, signature) {
+      if (webhookSecret && signature !== webhookSecret) {
+        throw new Error("Webhook signature doesn't match the webhook secret");
+      }
+      const event = JSON.parse(rawBody.toString());
+      if (!event?.id || !event.type || !event.data?.object) {
+        throw new Error("Webhook payload isn't a Stripe event");
+      }
+
+      // Move the payment intent to the event's status, as Stripe would have
+      const paymentIntent = paymentIntents.get(event.data.object.id);
+      if (paymentIntent && EVENT_STATUSES[event.type]) {
+        paymentIntent.status = EVENT_STATUSES[event.type];
+      }
+      return event;
+    },
+  };
+}
+
+module.exports = { createFakePayments };
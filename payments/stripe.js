@@ -0,0 +1,63 @@
+// Third-party packages
+const Stripe = require("stripe"); // Stripe library for payment processing
+
+// Create a payment client backed by Stripe
+function createStripePayments({ secretKey, webhookSecret }) {
+  const stripe = Stripe(secretKey); // Initialize Stripe with the secret key
+
+  return {
+    // Create a payment intent, returning its ID and the client secret the storefront confirms it with
+    async createPaymentIntent({ amount, currency, metadata }) {
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        metadata,
+      });
+      return {
+        id: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+      };
+    },
+
+    // Retrieve a payment intent's amount, currency, status and metadata
+    async retrievePaymentIntent(id) {
+      const paymentIntent = await stripe.paymentIntents.retrieve(id);
+      return {
+        id: paymentIntent.id,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        status: paymentIntent.status,
+        metadata: paymentIntent.metadata,
+      };
+    },
+
+    // Refund some or all of a succeeded payment intent, returning the refund's ID, amount and status
+    // (the idempotency key makes Stripe return the same refund when a request is retried)
+    async refund({ paymentIntentId, amount, metadata, idempotencyKey }) {
+      const refund = await stripe.refunds.create(
+        { payment_intent: paymentIntentId, amount, metadata },
+        { idempotencyKey }
+      );
+      return { id: refund.id, amount: refund.amount, status: refund.status };
+    },
+
+    // Find a refund of a payment intent by the refund ID it was created with, or null if there is none
+    async findRefund({ paymentIntentId, refundId }) {
+      const refunds = await stripe.refunds
+        .list({ payment_intent: paymentIntentId, limit: 100 })
+        .autoPagingToArray({ limit: 1000 });
+      const refund = refunds.find(
+        (candidate) => candidate.metadata?.refundId === refundId
+      );
+      return refund
+        ? { id: refund.id, amount: refund.amount, status: refund.status }
+        : null;
+    },
+
+    // Verify the Stripe signature of a webhook request and construct the event
+    constructWebhookEvent: (rawBody, signature) =>
+      stripe.webhooks.constructEvent(rawBody, signature, webhookSecret),
+  };
+}
+
+module.exports = { createStripePayments };
@@ -0,0 +1,37 @@
+// How often expired counters are removed from memory (ms)
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Create a rate limit store that keeps its counters in memory
+// Counters aren't shared between server instances, so each instance enforces its own limits
+// Store interface:
+// • increment(key, windowMs): count a request, returning { count, resetAt } for the current window
+function createMemoryRateLimitStore() {
+  const counters = new Map(); // key => { count, resetAt }
+
+  // Remove the counters of windows that have ended, so idle clients don't use memory forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL);
+  sweeper.unref();
+
+  // Count a request in the key's current window, starting a new window if the last one has ended
+  async function increment(key, windowMs) {
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  return { increment };
+}
+
+module.exports = { createMemoryRateLimitStore };
@@ -0,0 +1,316 @@
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+
+// Local modules
+const { ROLES, getUserRoles } = require("../middleware/auth");
+const { parseObjectId, parseNumberParam } = require("../middleware/validation");
+const { asyncHandler } = require("../middleware/errors");
+const { ValidationError, NotFoundError } = require("../lib/errors");
+const { AUDIT_ENTITY_TYPES } = require("../lib/audit");
+const { MAX_PAGE_SIZE } = require("../lib/catalog");
+
+// ADMIN ROUTES
+function createAdminRouter({
+  repository,
+  authVerifier,
+  authorize,
+  reviewService,
+  productImages,
+  catalogCache,
+  auditLog,
+}) {
+  const router = express.Router();
+  const { refreshProductRating } = reviewService;
+  const { removeProductImages } = productImages;
+  const { recordChange } = auditLog;
+
+  // Look up a user, reporting unknown users as not found
+  async function getUser(uid) {
+    try {
+      return await authVerifier.getUser(uid);
+    } catch (error) {
+      if (error.code === "auth/user-not-found") {
+        throw new NotFoundError("User not found");
+      }
+      throw error;
+    }
+  }
+
+  // Grant a role to a user
+  router.post(
+    "/admin/users/:uid/roles",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle POST requests to grant a role to a user
+      // • Validate the requested role
+      // • Add the role to the user's custom claims
+      // • Revoke the user's sessions so their tokens pick up the change
+      // • Send a response with the user's updated roles
+
+      // Extract the user's UID and the role to grant
+      const { uid } = req.params;
+      const { role } = req.body;
+
+      // Validate the requested role
+      if (!ROLES.includes(role)) {
+        throw new ValidationError(`Role must be one of: ${ROLES.join(", ")}`);
+      }
+
+      // Add the role to the user's current roles
+      const user = await getUser(uid);
+      const roles = getUserRoles(user.customClaims || {});
+      const updatedRoles = roles.includes(role) ? roles : [...roles, role];
+      await authVerifier.setCustomUserClaims(uid, {
+        ...user.customClaims,
+        roles: updatedRoles,
+      });
+
+      // ID tokens keep the claims they were issued with until they expire,
+      // so sign the user out to make them sign in again with their new roles
+      await authVerifier.revokeRefreshTokens(uid);
+
+      // Send a success response with the updated roles
+      res.json({
+        message: "Role granted successfully",
+        uid,
+        roles: updatedRoles,
+      });
+    })
+  );
+
+  // Revoke a role from a user
+  router.delete(
+    "/admin/users/:uid/roles/:role",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle DELETE requests to revoke a role from a user
+      // • Remove the role from the user's custom claims
+      // • Revoke the user's sessions so the role can't be used any more
+      // • Send a response with the user's updated roles
+
+      // Extract the user's UID and the role to revoke
+      const { uid, role } = req.params;
+
+      // Prevent admins from locking themselves out
+      if (uid === req.user.uid && role === "admin") {
+        throw new ValidationError("You can't revoke your own admin role");
+      }
+
+      // Remove the role from the user's current roles
+      const user = await getUser(uid);
+      const roles = getUserRoles(user.customClaims || {});
+      const updatedRoles = roles.filter((userRole) => userRole !== role);
+      await authVerifier.setCustomUserClaims(uid, {
+        ...user.customClaims,
+        roles: updatedRoles,
+      });
+
+      // Reject the ID tokens the user already has, which still carry the revoked role
+      await authVerifier.revokeRefreshTokens(uid);
+
+      // Send a success response with the updated roles
+      res.json({
+        message: "Role revoked successfully",
+        uid,
+        roles: updatedRoles,
+      });
+    })
+  );
+
+  // Retrieve all orders across sellers
+  router.get(
+    "/admin/orders",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle GET requests to retrieve every order in the marketplace
+      // • Send a response with the retrieved orders
+
+      // Fetch all orders from the database
+      const orders = await repository.orders.findAll();
+
+      // Send a success response with the retrieved orders
+      res.json({ message: "Orders retrieved successfully", orders });
+    })
+  );
+
+  // Remove any product
+  router.delete(
+    "/admin/products/:id",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle DELETE requests to remove a product, whoever its seller is
+      // • Handle the case where the product is not found
+      // • Delete the product's image files
+      // • Record the deleted product in the audit log
+      // • Send a success response with the deletion result
+
+      // Find the product, so its image files can be deleted along with it
+      const product = await repository.products.findById(
+        parseObjectId(req.params.id, "product ID")
+      );
+      if (!product) {
+        throw new NotFoundError("Product not found");
+      }
+
+      // Delete the product from the database using its ID
+      const deletedCount = await repository.products.delete(product._id);
+
+      // Check if a product was actually deleted
+      if (deletedCount === 0) {
+        throw new NotFoundError("Product not found");
+      }
+
+      // Delete the product's image files
+      await removeProductImages(product);
+
+      // Record the deleted product in the audit log
+      await recordChange(req, {
+        action: "product.delete",
+        entityType: "product",
+        entityId: product._id,
+        before: product,
+      });
+
+      // Drop the cached catalog responses, so they no longer list the product
+      catalogCache.invalidate();
+
+      // Send a success response with information about the deletion
+      res.json({
+        message: "Product removed successfully",
+        deletedCount,
+      });
+    })
+  );
+
+  // Hide a product review
+  router.patch(
+    "/admin/reviews/:id/hide",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle PATCH requests to hide a review from the storefront
+      // • Handle the case where the review is not found
+      // • Record the hidden review in the audit log
+      // • Update the rating of the reviewed product
+      // • Send a success response
+
+      // Mark the review as hidden, recording who hid it and when
+      const review = await repository.reviews.hide(
+        parseObjectId(req.params.id, "review ID"),
+        req.user.uid
+      );
+
+      // Check if the review was found
+      if (!review) {
+        throw new NotFoundError("Review not found");
+      }
+
+      // Record the hidden review in the audit log
+      await recordChange(req, {
+        action: "review.hide",
+        entityType: "review",
+        entityId: review._id,
+        before: review,
+        after: { ...review, hidden: true, hiddenBy: req.user.uid },
+      });
+
+      // Leave the hidden review out of the product's rating
+      if (review.productId) {
+        await refreshProductRating(review.productId);
+      }
+
+      // Send a success response
+      res.json({ message: "Review hidden successfully" });
+    })
+  );
+
+  // Search the audit log
+  router.get(
+    "/admin/audit",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Parse the actor, entity and date range filters and the requested page
+      // • Retrieve the matching audit log entries, newest first
+      // • Send the entries with pagination metadata
+
+      // Parse the filters
+      const { actor, entity, entityId } = req.query;
+      const errors = [];
+      // Repeated or nested query parameters (?actor[$ne]=...) parse to arrays and objects
+      ["actor", "entityId"].forEach((name) => {
+        if (
+          req.query[name] !== undefined &&
+          typeof req.query[name] !== "string"
+        ) {
+          errors.push({ field: name, message: "must be a string" });
+        }
+      });
+      if (entity !== undefined && !AUDIT_ENTITY_TYPES.includes(entity)) {
+        errors.push({
+          field: "entity",
+          message: `must be one of: ${AUDIT_ENTITY_TYPES.join(", ")}`,
+        });
+      }
+      const [from, to] = ["from", "to"].map((name) => {
+        if (req.query[name] === undefined) {
+          return undefined;
+        }
+        const date = new Date(req.query[name]);
+        if (isNaN(date)) {
+          errors.push({ field: name, message: "must be a valid date" });
+        }
+        return date;
+      });
+      if (from && to && from > to) {
+        errors.push({ field: "from", message: "must be before to" });
+      }
+
+      // Parse the page number and page size
+      const page =
+        parseNumberParam(req.query, "page", errors, {
+          min: 1,
+          integer: true,
+        }) || 1;
+      const pageSize =
+        parseNumberParam(req.query, "pageSize", errors, {
+          min: 1,
+          max: MAX_PAGE_SIZE,
+          integer: true,
+        }) || 20;
+      if (errors.length > 0) {
+        throw new ValidationError("Invalid query", errors);
+      }
+
+      // Retrieve the matching entries, newest first
+      const { entries, totalEntries } = await repository.auditLog.find(
+        {
+          actorID: actor,
+          entityType: entity,
+          entityId,
+          from,
+          to,
+        },
+        { page, pageSize }
+      );
+
+      // Send the entries with pagination metadata
+      res.json({
+        message: "Audit log retrieved successfully",
+        entries,
+        currentPage: page,
+        totalPages: Math.ceil(totalEntries / pageSize),
+        pageSize,
+        totalEntries,
+      });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,234 @@
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+
+// Local modules
+const { validateBody } = require("../middleware/validation");
+const { asyncHandler } = require("../middleware/errors");
+const { couponSchema, couponUpdateSchema } = require("../lib/schemas");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+const { BASE_CURRENCY } = require("../lib/currency");
+const { DuplicateKeyError } = require("../storage/errors");
+
+// Check whether a user may manage a coupon (its seller or an admin)
+function canManageCoupon(user, coupon) {
+  return user.roles.includes("admin") || coupon.sellerID === user.uid;
+}
+
+// Check a coupon's value against its type, throwing a ValidationError if it doesn't fit:
+// percentage coupons can't take off more than the whole price, and fixed amounts are whole minor units
+function checkCouponValue(type, value) {
+  const error =
+    type === "percentage" && !(value > 0 && value <= 100)
+      ? "must be more than 0 and at most 100 for percentage coupons"
+      : type === "fixed" && !Number.isInteger(value)
+      ? "must be an integer (in minor units) for fixed coupons"
+      : null;
+  if (error) {
+    throw new ValidationError("Validation failed", [
+      { field: "value", message: error },
+    ]);
+  }
+}
+
+// COUPONS ROUTES
+function createCouponsRouter({ repository, authorize, rateLimit, pricing }) {
+  const router = express.Router();
+  const { priceCart } = pricing;
+
+  // Create a coupon
+  router.post(
+    "/coupons",
+    authorize("admin", "seller"),
+    validateBody(couponSchema),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Receive the validated coupon from the request body
+      // • Limit coupons created by sellers to their own products
+      // • Insert the coupon, rejecting duplicate codes
+      // • Send a success response with the created coupon
+
+      const coupon = req.body;
+
+      // Check the value against the coupon's type
+      checkCouponValue(coupon.type, coupon.value);
+
+      // Coupons created by sellers only apply to their own products,
+      // while admin coupons apply to the whole marketplace
+      const newCoupon = {
+        ...coupon,
+        code: coupon.code.toUpperCase(),
+        ...(coupon.expiresAt && { expiresAt: new Date(coupon.expiresAt) }),
+        sellerID: req.user.roles.includes("admin") ? null : req.user.uid,
+        currency: coupon.currency ?? BASE_CURRENCY, // Currency of fixed amounts
+        active: coupon.active ?? true,
+        redemptionCount: 0,
+        createdBy: req.user.uid,
+        createdAt: new Date(),
+      };
+
+      // Insert the coupon into the database
+      try {
+        await repository.coupons.insert(newCoupon);
+      } catch (error) {
+        // The unique index on the code rejects duplicates
+        if (error instanceof DuplicateKeyError) {
+          throw new ConflictError("A coupon with this code already exists");
+        }
+        throw error;
+      }
+
+      // Send a 201 Created status with the created coupon
+      res
+        .status(201)
+        .json({ message: "Coupon created successfully", coupon: newCoupon });
+    })
+  );
+
+  // Retrieve coupons (all coupons for admins, their own coupons for sellers)
+  router.get(
+    "/coupons",
+    authorize("admin", "seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Fetch the coupons the user may manage
+      // • Send the coupons as a JSON response
+
+      // Admins see every coupon, sellers only their own
+      const coupons = await repository.coupons.list(
+        req.user.roles.includes("admin") ? null : req.user.uid
+      );
+
+      // Send the coupons
+      res.json({ message: "Coupons retrieved successfully", coupons });
+    })
+  );
+
+  // Update a coupon
+  router.put(
+    "/coupons/:code",
+    authorize("admin", "seller"),
+    validateBody(couponUpdateSchema, { partial: true }),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Find the coupon by its code
+      // • Check that the user may manage the coupon
+      // • Update the coupon with the validated fields
+      // • Send a success response with the updated coupon
+
+      // Find the coupon by its code
+      const coupon = await repository.coupons.findByCode(
+        req.params.code.toUpperCase()
+      );
+      if (!coupon) {
+        throw new NotFoundError("Coupon not found");
+      }
+
+      // Check that the user may manage the coupon
+      if (!canManageCoupon(req.user, coupon)) {
+        throw new ForbiddenError(
+          "Forbidden: You can only manage your own coupons"
+        );
+      }
+
+      // Check the value against the coupon's type, as they will be after the update
+      checkCouponValue(
+        req.body.type || coupon.type,
+        req.body.value ?? coupon.value
+      );
+
+      // Update the coupon
+      const update = {
+        ...req.body,
+        ...(req.body.expiresAt && {
+          expiresAt: new Date(req.body.expiresAt),
+        }),
+      };
+      const updatedCoupon = await repository.coupons.update(coupon._id, update);
+
+      // Send a success response with the updated coupon
+      res.json({
+        message: "Coupon updated successfully",
+        coupon: updatedCoupon,
+      });
+    })
+  );
+
+  // Delete a coupon
+  router.delete(
+    "/coupons/:code",
+    authorize("admin", "seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Find the coupon by its code
+      // • Check that the user may manage the coupon
+      // • Delete the coupon from the database
+      // • Send a success response
+
+      // Find the coupon by its code
+      const coupon = await repository.coupons.findByCode(
+        req.params.code.toUpperCase()
+      );
+      if (!coupon) {
+        throw new NotFoundError("Coupon not found");
+      }
+
+      // Check that the user may manage the coupon
+      if (!canManageCoupon(req.user, coupon)) {
+        throw new ForbiddenError(
+          "Forbidden: You can only manage your own coupons"
+        );
+      }
+
+      // Delete the coupon from the database
+      await repository.coupons.remove(coupon._id);
+
+      // Send a success response
+      res.json({ message: "Coupon deleted successfully" });
+    })
+  );
+
+  // Apply a coupon to a cart
+  router.post(
+    "/cart/apply-coupon",
+    rateLimit("checkout"),
+    authorize("buyer"),
+    rateLimit("checkout", "user"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Extract the cart items and the coupon code from the request body
+      // • Price the cart with the coupon applied
+      // • Send the discounted breakdown back to the client
+
+      // Extract the cart items, the coupon code and the optional currency from the request body
+      const { items, code, currency } = req.body;
+      if (typeof code !== "string" || !code.trim()) {
+        throw new ValidationError("Coupon code is required");
+      }
+
+      // Price the cart with the coupon applied
+      const { errors, couponError, breakdown } = await priceCart(items, {
+        couponCode: code,
+        userID: req.user.uid,
+        currency,
+      });
+      if (errors) {
+        throw new ValidationError("Invalid cart", errors);
+      }
+      if (couponError) {
+        throw new ValidationError(couponError);
+      }
+
+      // Send the discounted breakdown
+      res.json({ message: "Coupon applied successfully", breakdown });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createCouponsRouter };
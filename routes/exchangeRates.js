@@ -0,0 +1,150 @@
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+
+// Local modules
+const { asyncHandler } = require("../middleware/errors");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+const { CURRENCY_CODES, BASE_CURRENCY } = require("../lib/currency");
+
+// Largest exchange rate accepted (units of a currency per unit of the base currency)
+const MAX_EXCHANGE_RATE = 1000000;
+
+// Check a currency named in the URL, which can't be the base currency
+function parseRateCurrency(value) {
+  const currency = String(value).toUpperCase();
+  if (!CURRENCY_CODES.includes(currency)) {
+    throw new ValidationError(
+      `Currency must be one of: ${CURRENCY_CODES.join(", ")}`
+    );
+  }
+  if (currency === BASE_CURRENCY) {
+    throw new ValidationError(
+      `${BASE_CURRENCY} is the base currency, its rate is always 1`
+    );
+  }
+  return currency;
+}
+
+// EXCHANGE RATE ROUTES
+function createExchangeRatesRouter({ repository, authorize, catalogCache }) {
+  const router = express.Router();
+
+  // Retrieve the exchange rates, so the storefront can offer the currencies prices can be shown in
+  router.get(
+    "/exchange-rates",
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Fetch the exchange rates from the database
+      // • Send them along with the base currency they are relative to
+
+      // Fetch the exchange rates
+      const rates = await repository.exchangeRates.list();
+
+      // Send the rates, with the base currency first
+      res.json({
+        baseCurrency: BASE_CURRENCY,
+        rates: [
+          { currency: BASE_CURRENCY, rate: 1 },
+          ...rates.map(({ _id, rate, updatedAt }) => ({
+            currency: _id,
+            rate,
+            updatedAt,
+          })),
+        ],
+      });
+    })
+  );
+
+  // Set the exchange rate of a currency
+  router.put(
+    "/admin/exchange-rates/:currency",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Validate the currency and the rate
+      // • Store the rate, recording who set it and when
+      // • Send a success response with the stored rate
+
+      // Validate the currency and the rate
+      const currency = parseRateCurrency(req.params.currency);
+      const { rate } = req.body;
+      if (
+        typeof rate !== "number" ||
+        !Number.isFinite(rate) ||
+        rate <= 0 ||
+        rate > MAX_EXCHANGE_RATE
+      ) {
+        throw new ValidationError("Validation failed", [
+          {
+            field: "rate",
+            message: `must be a number above 0 and at most ${MAX_EXCHANGE_RATE}`,
+          },
+        ]);
+      }
+
+      // Store the rate
+      const exchangeRate = await repository.exchangeRates.set(currency, {
+        rate,
+        updatedBy: req.user.uid,
+        updatedAt: new Date(),
+      });
+
+      // Drop the cached catalog responses, so display prices use the new rate
+      catalogCache.invalidate();
+
+      // Send a success response with the stored rate
+      res.json({
+        message: "Exchange rate set successfully",
+        exchangeRate: {
+          currency,
+          rate: exchangeRate.rate,
+          updatedAt: exchangeRate.updatedAt,
+        },
+      });
+    })
+  );
+
+  // Delete the exchange rate of a currency
+  router.delete(
+    "/admin/exchange-rates/:currency",
+    authorize("admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Validate the currency
+      // • Refuse to delete the rate while products are priced in the currency
+      // • Delete the rate from the database
+      // • Send a success response
+
+      // Validate the currency
+      const currency = parseRateCurrency(req.params.currency);
+
+      // Products priced in the currency couldn't be shown or sold in any other currency without its rate
+      const productCount = await repository.products.countByCurrency(currency);
+      if (productCount > 0) {
+        throw new ConflictError(
+          `${productCount} products are priced in ${currency}`
+        );
+      }
+
+      // Delete the rate
+      const deletedCount = await repository.exchangeRates.remove(currency);
+      if (deletedCount === 0) {
+        throw new NotFoundError("Exchange rate not found");
+      }
+
+      // Drop the cached catalog responses, so the currency can no longer be requested from them
+      catalogCache.invalidate();
+
+      // Send a success response
+      res.json({ message: "Exchange rate deleted successfully" });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createExchangeRatesRouter };
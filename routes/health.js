@@ -0,0 +1,58 @@
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+
+// Time the readiness check waits for the database before reporting it as unreachable
+const READINESS_TIMEOUT = 2000;
+
+// Reject after the given time, so a hanging check fails instead of blocking the probe
+function timeout(ms, message) {
+  return new Promise((resolve, reject) =>
+    setTimeout(() => reject(new Error(message)), ms).unref()
+  );
+}
+
+// HEALTH CHECK ROUTES
+function createHealthRouter({ repository }) {
+  const router = express.Router();
+
+  // Liveness check
+  router.get("/healthz", (req, res) => {
+    // Task list:
+    // • Report that the server process is up and able to handle requests
+
+    res.json({ status: "ok" });
+  });
+
+  // Readiness check
+  router.get("/readyz", async (req, res) => {
+    // Task list:
+    // • Report the server as unavailable while it is shutting down
+    // • Check that the database can be reached
+    // • Send the readiness status, with a 503 status code when not ready
+
+    // Stop sending traffic to a server that is shutting down
+    if (req.app.locals.shuttingDown) {
+      return res.status(503).json({ status: "shutting down" });
+    }
+
+    try {
+      // Check that the database can be reached
+      await Promise.race([
+        repository.ping(),
+        timeout(READINESS_TIMEOUT, "Database ping timed out"),
+      ]);
+
+      res.json({ status: "ready", database: "ok" });
+    } catch (error) {
+      // Log the failed database check
+      req.log.warn("Readiness check failed", { reason: error.message });
+
+      // Send a 503 Service Unavailable status so no traffic is routed to the server
+      res.status(503).json({ status: "unavailable", database: "unreachable" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,830 @@
+// Standard Node.js modules
+const crypto = require("crypto");
+
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+const { ObjectId } = require("mongodb"); // Product IDs are MongoDB ObjectIds in every storage backend
+
+// Local modules
+const { validateBody, parseNumberParam } = require("../middleware/validation");
+const { asyncHandler } = require("../middleware/errors");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+const {
+  orderSchema,
+  refundSchema,
+  cancelRequestSchema,
+  cancelRequestDecisionSchema,
+} = require("../lib/schemas");
+const { MAX_PAGE_SIZE } = require("../lib/catalog");
+const {
+  createStatusHistoryEntry,
+  canManageOrder,
+  orderEventData,
+} = require("../lib/orders");
+const {
+  BASE_CURRENCY,
+  rateBetween,
+  convertAmount,
+} = require("../lib/currency");
+const { refundableAmount } = require("../lib/refunds");
+const { TAX_RATE } = require("../lib/pricing");
+
+// Statuses of orders buyers can ask to cancel, since they haven't shipped yet
+// (orders created before the status lifecycle was introduced have no status and count as pending)
+const CANCELLABLE_ORDER_STATUSES = ["pending", "paid"];
+
+// Find an order by its order ID, checking that the user may manage it (its seller or an admin)
+async function findManagedOrder(repository, orderID, user) {
+  const order = await repository.orders.findByOrderID(orderID);
+  if (!order) {
+    throw new NotFoundError("Order not found");
+  }
+  if (!canManageOrder(user, order)) {
+    throw new ForbiddenError("Forbidden: You can only manage your own orders");
+  }
+  return order;
+}
+
+// ORDERS ROUTES
+function createOrdersRouter({
+  repository,
+  payments,
+  authorize,
+  rateLimit,
+  idempotent,
+  orderService,
+  refundService,
+  exchangeRates,
+  auditLog,
+}) {
+  const router = express.Router();
+  const {
+    notifySeller,
+    notifyLowStock,
+    logStockChange,
+    reserveStock,
+    releaseStock,
+    transitionOrder,
+    changeOrderStatus,
+  } = orderService;
+  const { refundOrder } = refundService;
+  const { recordChange } = auditLog;
+
+  // Cancel an order, first refunding what is left of its payment if it has been paid
+  // (a cancelled order can't be refunded any more, so the money has to go back before it is cancelled)
+  async function cancelOrder(req, order, { note, refundReason }) {
+    if (
+      order.status === "paid" &&
+      order.paymentIntentId &&
+      order.paymentStatus === "succeeded" &&
+      refundableAmount(order) > 0
+    ) {
+      const { order: refundedOrder } = await refundOrder(order, {
+        reason: refundReason,
+        refundedBy: req.user.uid,
+        updateStatus: false,
+      });
+      await recordChange(req, {
+        action: "order.refund",
+        entityType: "order",
+        entityId: order.orderID,
+        before: order,
+        after: refundedOrder,
+      });
+    }
+
+    // Cancel the order, putting its stock back
+    return changeOrderStatus(order.orderID, "cancelled", {
+      note,
+      user: req.user,
+      recordChange: (change) => recordChange(req, change),
+    });
+  }
+
+  // Check that orders match the payment intent they are linked to: the same buyer,
+  // currency and items (product and quantity) as the cart it was created for
+  // Returns the amount the payment intent charges for each order, in order
+  async function matchPaymentIntent(
+    paymentIntentId,
+    orderedProducts,
+    { buyerID, currency }
+  ) {
+    const paymentIntent = await repository.paymentIntents.findById(
+      paymentIntentId
+    );
+    if (!paymentIntent || paymentIntent.userID !== buyerID) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "paymentIntentId",
+          message: "doesn't match a payment you created",
+        },
+      ]);
+    }
+    if (paymentIntent.currency !== currency) {
+      throw new ValidationError(
+        `Orders must be in ${paymentIntent.currency}, the currency of their payment`
+      );
+    }
+
+    // Match each order to an unused line item of the payment intent with the same product and quantity
+    const remaining = [...paymentIntent.items];
+    const lineAmounts = orderedProducts.map((order) => {
+      const productId = String(order.productId ?? order._id);
+      const index = remaining.findIndex(
+        (item) =>
+          String(item.productId) === productId &&
+          item.quantity === order.quantity
+      );
+      return index === -1 ? null : remaining.splice(index, 1)[0].amount;
+    });
+    if (lineAmounts.includes(null) || remaining.length > 0) {
+      throw new ValidationError(
+        "Orders must match the items their payment was created for"
+      );
+    }
+    return lineAmounts;
+  }
+
+  // Mark new orders as paid if their payment intent has already succeeded, returning the up-to-date orders
+  async function markPaidIfSucceeded(req, paymentIntentId, orders) {
+    // The orders have been created, so a payment provider error is only logged:
+    // the payment_intent.succeeded event still marks them as paid when it arrives
+    let paymentIntent;
+    try {
+      paymentIntent = await payments.retrievePaymentIntent(paymentIntentId);
+    } catch (error) {
+      req.log.error("Error retrieving payment intent", {
+        paymentIntentId,
+        error,
+      });
+      return orders;
+    }
+    if (paymentIntent.status !== "succeeded") {
+      return orders;
+    }
+
+    // Record the payment and move the orders to the paid status, unless the webhook already has
+    // (the payment intent was used for these orders only)
+    await repository.orders.setPaymentStatus(paymentIntentId, "succeeded");
+    const pendingOrders = await repository.orders.findByPaymentIntent(
+      paymentIntentId,
+      ["pending"]
+    );
+    for (const order of pendingOrders) {
+      await transitionOrder(order, "paid", {
+        note: "Payment confirmed before the order was created",
+        recordChange: (change) =>
+          recordChange(req, { ...change, actorID: "stripe" }),
+      });
+    }
+    return repository.orders.findByPaymentIntent(paymentIntentId);
+  }
+
+  // Retrieve all orders of a specific seller
+  router.get(
+    "/orders",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle GET requests to retrieve orders for a specific seller
+      // • Fetch orders from the database for the authenticated seller
+      // • Send a response with the retrieved orders
+
+      // The seller is the user authenticated by the Firebase ID token
+      const sellerID = req.user.uid;
+
+      // Fetch orders for the specific seller from the database
+      const orders = await repository.orders.findBySeller(sellerID);
+
+      // Send a success response with the retrieved orders
+      res.json({
+        message: "Orders retrieved successfully",
+        orders: orders,
+      });
+    })
+  );
+
+  // Add new order
+  router.post(
+    "/orders/add",
+    rateLimit("orders"),
+    authorize("buyer"),
+    rateLimit("orders", "user"),
+    idempotent("orders"),
+    validateBody(orderSchema, { array: true }),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle POST requests to create multiple new orders
+      // • Validate the request body (ensure each order names the ordered product and the checkout uses one currency)
+      // • Stamp each order with the seller, name and prices of the ordered product and the authenticated buyer
+      // • Convert the prices into the currency the buyer is charged in, recording the rate used
+      // • Check that the orders match the buyer, currency and items of their payment intent,
+      //   recording the amount the payment intent charges for each of them
+      // • Group the orders under a single checkout, giving each order a unique order ID
+      // • Remove any existing _id fields from the orders, keeping them as the ordered product IDs
+      // • Mark the orders as pending until the Stripe webhook confirms the payment
+      // • Reserve stock for every line item, rejecting the whole order if any item is short
+      // • Insert multiple orders into the database
+      // • Record the new orders in the audit log
+      // • Send new-order and low-stock events to the sellers
+      // • Mark the orders as paid if their payment has already succeeded
+      // • Send a response with the created orders and insert count
+
+      // The orders have already been validated against the order schema
+      const orderedProducts = req.body;
+
+      // Ensure each order names the ordered product
+      const missingProductIds = orderedProducts
+        .map((order, index) => (order.productId ?? order._id ? null : index))
+        .filter((index) => index !== null);
+      if (missingProductIds.length > 0) {
+        throw new ValidationError(
+          "Validation failed",
+          missingProductIds.map((index) => ({
+            field: `[${index}].productId`,
+            message: "is required",
+          }))
+        );
+      }
+
+      // Ensure every order of the checkout is charged in the same currency
+      const currencies = new Set(
+        orderedProducts.map((order) => order.currency ?? BASE_CURRENCY)
+      );
+      if (currencies.size > 1) {
+        throw new ValidationError(
+          "All orders of a checkout must use the same currency"
+        );
+      }
+
+      // Ensure every order of the checkout is linked to the same payment intent, if any
+      const paymentIntentIds = new Set(
+        orderedProducts.map((order) => order.paymentIntentId ?? null)
+      );
+      if (paymentIntentIds.size > 1) {
+        throw new ValidationError(
+          "All orders of a checkout must use the same paymentIntentId"
+        );
+      }
+      const [paymentIntentId] = paymentIntentIds;
+
+      // Check the currency (the base currency by default) and load the exchange rates
+      const { currency, rates } = await exchangeRates.resolveCurrency(
+        orderedProducts[0].currency
+      );
+
+      // The orders must be for the buyer, currency and items the payment intent was created for
+      const lineAmounts = paymentIntentId
+        ? await matchPaymentIntent(paymentIntentId, orderedProducts, {
+            buyerID: req.user.uid,
+            currency,
+          })
+        : null;
+
+      // Look up the ordered products, so each order is stamped with the product's
+      // real seller, name and current prices
+      const products = await repository.products.findByIds(
+        orderedProducts.map(
+          (order) => new ObjectId(order.productId ?? order._id)
+        )
+      );
+      const productsById = new Map(
+        products.map((product) => [product._id.toString(), product])
+      );
+
+      // Ensure each product's price can be converted into the charged currency
+      const unconvertible = orderedProducts
+        .map((order, index) => {
+          const product = productsById.get(
+            String(order.productId ?? order._id)
+          );
+          const productCurrency = product?.currency || BASE_CURRENCY;
+          return rateBetween(rates, productCurrency, currency) === null
+            ? index
+            : null;
+        })
+        .filter((index) => index !== null);
+      if (unconvertible.length > 0) {
+        throw new ValidationError(
+          "Validation failed",
+          unconvertible.map((index) => ({
+            field: `[${index}].productId`,
+            message: `can't be sold in ${currency}`,
+          }))
+        );
+      }
+
+      // Remove any existing _id fields from the orders (the cart sends the product's _id),
+      // group them under one checkout placed by the authenticated buyer
+      // and mark them as pending until the payment is confirmed
+      const checkoutID = crypto.randomUUID();
+      const createdAt = new Date();
+      const ordersWithoutIds = orderedProducts.map((order, index) => {
+        const { _id, productId, ...orderWithoutId } = order;
+        const orderedProductId = new ObjectId(productId ?? _id);
+        const product = productsById.get(orderedProductId.toString());
+
+        // Convert the unit prices from the product's currency into the charged currency,
+        // and into the base currency for the seller's sales analytics
+        const productCurrency = product?.currency || BASE_CURRENCY;
+        const convert = (amount, to) =>
+          convertAmount(Number(amount) || 0, productCurrency, to, rates);
+        const price = convert(product?.price, currency);
+        const shipping = convert(product?.shipping, currency);
+        return {
+          ...orderWithoutId,
+          orderID: crypto.randomUUID(), // Generated here, so no order can reuse another order's ID
+          productId: orderedProductId,
+          name: product?.name,
+          price,
+          shipping,
+          currency,
+          exchangeRate: rateBetween(rates, productCurrency, currency),
+          // Charged for the line item: its share of the payment intent, discount and tax included,
+          // or its price, shipping and tax when the order isn't linked to a payment
+          amount: lineAmounts
+            ? lineAmounts[index]
+            : (price + shipping) * order.quantity +
+              Math.round(price * order.quantity * TAX_RATE),
+          basePrice: convert(product?.price, BASE_CURRENCY),
+          sellerID: product?.sellerID,
+          buyerID: req.user.uid,
+          checkoutID,
+          createdAt,
+          paymentStatus: "pending",
+          status: "pending",
+          statusHistory: [createStatusHistoryEntry("pending")],
+        };
+      });
+
+      // Use the payment intent for a single checkout, so its payment can't mark other orders as paid
+      if (
+        paymentIntentId &&
+        !(await repository.paymentIntents.claim(paymentIntentId))
+      ) {
+        throw new ConflictError(
+          "Orders have already been created for this payment"
+        );
+      }
+      const releasePaymentIntent = async () => {
+        if (paymentIntentId) {
+          await repository.paymentIntents.release(paymentIntentId);
+        }
+      };
+
+      // Reserve stock for every line item, rejecting the whole order if any item is short
+      const { errors, reserved } = await reserveStock(ordersWithoutIds);
+      if (errors) {
+        await releasePaymentIntent();
+        throw new ConflictError("Some items can't be fulfilled", errors);
+      }
+
+      // Flag the orders whose stock was taken, so cancelling them puts it back
+      const reservedProductIds = new Set(
+        reserved.map(({ productId }) => productId.toString())
+      );
+      ordersWithoutIds.forEach((order) => {
+        order.stockReserved = reservedProductIds.has(
+          order.productId.toString()
+        );
+      });
+
+      // Insert multiple orders into the database, putting the stock back if that fails
+      let insertedCount;
+      try {
+        insertedCount = await repository.orders.insertMany(ordersWithoutIds);
+      } catch (error) {
+        await releaseStock(reserved);
+        await releasePaymentIntent();
+        throw error;
+      }
+
+      // Log the stock taken by the new orders
+      for (const order of ordersWithoutIds.filter((o) => o.stockReserved)) {
+        await logStockChange(order.productId, -order.quantity, "Order placed", {
+          orderID: order.orderID,
+        });
+      }
+
+      // Record the new orders in the audit log
+      for (const order of ordersWithoutIds) {
+        await recordChange(req, {
+          action: "order.create",
+          entityType: "order",
+          entityId: order.orderID,
+          after: order,
+        });
+      }
+
+      // Tell each seller about their new orders
+      for (const order of ordersWithoutIds) {
+        await notifySeller(
+          order.sellerID,
+          "order.created",
+          orderEventData(order)
+        );
+      }
+
+      // Tell the sellers about products the orders left low on stock
+      for (const { quantity, updatedProduct } of reserved) {
+        await notifyLowStock(updatedProduct, -quantity);
+      }
+
+      // The storefront usually creates the orders once the payment has been confirmed,
+      // so the payment_intent.succeeded event may have arrived before them
+      const orders = paymentIntentId
+        ? await markPaidIfSucceeded(req, paymentIntentId, ordersWithoutIds)
+        : ordersWithoutIds;
+
+      // Send a success response with the created orders
+      res.status(201).json({
+        message: "Orders created successfully",
+        checkoutID,
+        orders,
+        insertedCount,
+      });
+    })
+  );
+
+  // Retrieve the purchase history of the authenticated buyer
+  router.get(
+    "/orders/mine",
+    authorize("buyer"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Parse the requested page from the query parameters
+      // • Group the buyer's orders into one purchase per checkout
+      // • Send the purchases, newest first, with pagination metadata
+
+      // Parse the page number and page size
+      const errors = [];
+      const page =
+        parseNumberParam(req.query, "page", errors, {
+          min: 1,
+          integer: true,
+        }) || 1;
+      const pageSize =
+        parseNumberParam(req.query, "pageSize", errors, {
+          min: 1,
+          max: MAX_PAGE_SIZE,
+          integer: true,
+        }) || 10;
+      if (errors.length > 0) {
+        throw new ValidationError("Invalid query", errors);
+      }
+
+      // Group the line items of each checkout into a single purchase, newest first
+      const { purchases, totalPurchases } =
+        await repository.orders.findPurchases(req.user.uid, { page, pageSize });
+
+      // Send the purchases with pagination metadata
+      res.json({
+        message: "Purchases retrieved successfully",
+        purchases,
+        currentPage: page,
+        totalPages: Math.ceil(totalPurchases / pageSize),
+        pageSize,
+        totalPurchases,
+      });
+    })
+  );
+
+  // Retrieve a specific order
+  router.get(
+    "/orders/:orderID",
+    authorize("buyer", "seller", "admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Find the order by its order ID
+      // • Check that the user is the order's buyer, its seller or an admin
+      // • Send the order as a JSON response
+
+      // Find the order by its order ID
+      const order = await repository.orders.findByOrderID(req.params.orderID);
+      if (!order) {
+        throw new NotFoundError("Order not found");
+      }
+
+      // Only the order's buyer, its seller or an admin may read it
+      if (order.buyerID !== req.user.uid && !canManageOrder(req.user, order)) {
+        throw new ForbiddenError(
+          "Forbidden: You can only view your own orders"
+        );
+      }
+
+      // Send the order
+      res.json({ message: "Order retrieved successfully", order });
+    })
+  );
+
+  // Update the status of a specific order
+  router.patch(
+    "/orders/:orderID/status",
+    authorize("seller", "admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle PATCH requests to move an order to a new status
+      // • Validate the requested status and transition
+      // • Refund what is left of a paid order that is cancelled
+      // • Record the change in the order's status history and the audit log
+      // • Send a response with the updated order
+
+      // Extract the order ID and the requested status
+      const { orderID } = req.params;
+      const { status, note } = req.body;
+
+      // Validate the requested status
+      if (!status) {
+        throw new ValidationError("Missing order status");
+      }
+
+      // Move the order to the requested status, refunding it first if it is a paid order being cancelled
+      // (unknown statuses, disallowed transitions and concurrent changes are rejected)
+      const order =
+        status === "cancelled"
+          ? await cancelOrder(
+              req,
+              await findManagedOrder(repository, orderID, req.user),
+              { note, refundReason: note || "Order cancelled by the seller" }
+            )
+          : await changeOrderStatus(orderID, status, {
+              note,
+              user: req.user,
+              recordChange: (change) => recordChange(req, change),
+            });
+
+      // Send a success response with the updated order
+      res.json({
+        message: "Order status updated successfully",
+        order,
+      });
+    })
+  );
+
+  // Cancel a specific order
+  router.delete(
+    "/orders/:orderID",
+    authorize("seller", "admin"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle DELETE requests to cancel a specific order
+      // • Validate the order ID
+      // • Refund what is left of the order's payment if it has been paid
+      // • Move the order to the cancelled status, keeping it for reporting
+      // • Record the refund and the cancellation in the audit log
+      // • Send a response indicating success or failure
+
+      // Extract the order ID from the request parameters
+      const { orderID } = req.params;
+
+      // Validate the order ID
+      if (!orderID) {
+        throw new ValidationError("Missing order ID");
+      }
+
+      // Cancel the order instead of deleting it, giving back what was paid
+      const order = await cancelOrder(
+        req,
+        await findManagedOrder(repository, orderID, req.user),
+        { refundReason: "Order cancelled by the seller" }
+      );
+
+      // Send a success response
+      res.status(200).json({
+        message: "Order cancelled successfully",
+        order,
+      });
+    })
+  );
+
+  // Refund some or all of a paid order
+  router.post(
+    "/orders/:orderID/refund",
+    authorize("seller", "admin"),
+    idempotent("refunds"),
+    validateBody(refundSchema),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Find the order and check that the user may manage it
+      // • Refund the amount requested (everything left by default) through Stripe,
+      //   never more than what is left of the amount paid
+      // • Record the refund amount and reason on the order, and the refund in the audit log
+      // • Send a response with the refund and the updated order
+
+      // Find the order and check that the user is its seller or an admin
+      const order = await findManagedOrder(
+        repository,
+        req.params.orderID,
+        req.user
+      );
+
+      // Refund the order, moving it to the refunded status once it is refunded in full
+      const { refund, order: updatedOrder } = await refundOrder(order, {
+        amount: req.body.amount,
+        reason: req.body.reason.trim(),
+        refundedBy: req.user.uid,
+      });
+
+      // Record the refund in the audit log
+      await recordChange(req, {
+        action: "order.refund",
+        entityType: "order",
+        entityId: order.orderID,
+        before: order,
+        after: updatedOrder,
+      });
+
+      // Send a success response with the refund and the updated order
+      res.status(201).json({
+        message: "Order refunded successfully",
+        refund,
+        order: updatedOrder,
+      });
+    })
+  );
+
+  // Ask for an order to be cancelled
+  router.post(
+    "/orders/:orderID/cancel-request",
+    authorize("buyer"),
+    validateBody(cancelRequestSchema),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Find the order and check that the user is its buyer
+      // • Check that the order hasn't shipped yet
+      // • Record the cancellation request, allowing one request per order
+      // • Record the request in the audit log
+      // • Tell the seller about the request
+      // • Send a response with the updated order
+
+      // Find the order and check that the user is its buyer
+      const order = await repository.orders.findByOrderID(req.params.orderID);
+      if (!order) {
+        throw new NotFoundError("Order not found");
+      }
+      if (order.buyerID !== req.user.uid) {
+        throw new ForbiddenError(
+          "Forbidden: You can only cancel your own orders"
+        );
+      }
+
+      // Orders can only be cancelled before they ship
+      if (!CANCELLABLE_ORDER_STATUSES.includes(order.status || "pending")) {
+        throw new ConflictError(
+          `Orders can only be cancelled while they are ${CANCELLABLE_ORDER_STATUSES.join(
+            " or "
+          )}`
+        );
+      }
+
+      // Record the request, unless the order already has one
+      const updatedOrder = await repository.orders.setCancelRequest(
+        order._id,
+        null,
+        {
+          status: "open",
+          reason: req.body.reason.trim(),
+          requestedAt: new Date(),
+        }
+      );
+      if (!updatedOrder) {
+        throw new ConflictError(
+          "A cancellation has already been requested for this order"
+        );
+      }
+
+      // Record the request in the audit log
+      await recordChange(req, {
+        action: "order.cancel_request",
+        entityType: "order",
+        entityId: order.orderID,
+        before: order,
+        after: updatedOrder,
+      });
+
+      // Tell the seller about the request
+      await notifySeller(order.sellerID, "order.cancel_requested", {
+        ...orderEventData(updatedOrder),
+        reason: updatedOrder.cancelRequest.reason,
+      });
+
+      // Send a success response with the updated order
+      res.status(201).json({
+        message: "Cancellation requested successfully",
+        order: updatedOrder,
+      });
+    })
+  );
+
+  // Approve or decline a buyer's request to cancel an order
+  router.patch(
+    "/orders/:orderID/cancel-request",
+    authorize("seller", "admin"),
+    validateBody(cancelRequestDecisionSchema),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Find the order and check that the user may manage it
+      // • Check that the order has an open cancellation request
+      // • Record the decision, so the request can't be decided twice
+      // • When it is approved, refund what was paid through Stripe and cancel the order,
+      //   reopening the request if that fails
+      // • Record every change to the order in the audit log
+      // • Send a response with the updated order
+
+      // Find the order and check that the user is its seller or an admin
+      const order = await findManagedOrder(
+        repository,
+        req.params.orderID,
+        req.user
+      );
+      const { decision, note } = req.body;
+
+      // Only open requests can be decided
+      if (order.cancelRequest?.status !== "open") {
+        throw new ConflictError(
+          "Order doesn't have an open cancellation request"
+        );
+      }
+
+      // Record the decision, unless the request was decided in the meantime
+      const decidedOrder = await repository.orders.setCancelRequest(
+        order._id,
+        "open",
+        {
+          ...order.cancelRequest,
+          status: decision === "approve" ? "approved" : "declined",
+          decidedBy: req.user.uid,
+          decidedAt: new Date(),
+          ...(note && { note }),
+        }
+      );
+      if (!decidedOrder) {
+        throw new ConflictError(
+          "Cancellation request was decided by another request, please retry"
+        );
+      }
+      await recordChange(req, {
+        action: "order.cancel_request_decision",
+        entityType: "order",
+        entityId: order.orderID,
+        before: order,
+        after: decidedOrder,
+      });
+
+      // Send a success response if the request was declined
+      if (decision === "decline") {
+        return res.json({
+          message: "Cancellation request declined",
+          order: decidedOrder,
+        });
+      }
+
+      try {
+        // The order may have shipped since the request was made
+        if (
+          !CANCELLABLE_ORDER_STATUSES.includes(decidedOrder.status || "pending")
+        ) {
+          throw new ConflictError("Order can no longer be cancelled");
+        }
+
+        // Refund what was paid and cancel the order, putting its stock back
+        const cancelledOrder = await cancelOrder(req, decidedOrder, {
+          note: note || "Cancelled at the buyer's request",
+          refundReason: `Cancelled at the buyer's request: ${decidedOrder.cancelRequest.reason}`,
+        });
+
+        // Send a success response with the cancelled order
+        res.json({
+          message: "Cancellation request approved, order cancelled",
+          order: cancelledOrder,
+        });
+      } catch (error) {
+        // Reopen the request, so it can be decided again
+        const reopenedOrder = await repository.orders.setCancelRequest(
+          order._id,
+          "approved",
+          order.cancelRequest
+        );
+        if (reopenedOrder) {
+          await recordChange(req, {
+            action: "order.cancel_request_reopen",
+            entityType: "order",
+            entityId: order.orderID,
+            before: decidedOrder,
+            after: reopenedOrder,
+          });
+        }
+        throw error;
+      }
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createOrdersRouter };
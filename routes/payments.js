@@ -0,0 +1,268 @@
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+
+// Local modules
+const { asyncHandler } = require("../middleware/errors");
+const { statusesAllowingTransitionTo } = require("../lib/orders");
+const { paidAmount } = require("../lib/refunds");
+const { ValidationError } = require("../lib/errors");
+const { DuplicateKeyError } = require("../storage/errors");
+
+// Payment statuses recorded on orders for each handled Stripe event
+const PAYMENT_EVENT_STATUSES = {
+  "payment_intent.succeeded": "succeeded",
+  "payment_intent.payment_failed": "failed",
+  "payment_intent.canceled": "canceled",
+};
+
+// Order statuses the linked orders move to for each handled Stripe event
+// (a failed payment can still be retried, so the orders stay pending)
+const PAYMENT_EVENT_ORDER_STATUSES = {
+  "payment_intent.succeeded": "paid",
+  "payment_intent.canceled": "cancelled",
+};
+
+// Check that the orders linked to a payment intent are the buyer's and add up to the amount charged,
+// so a payment can't mark orders it didn't pay for
+function paymentMatchesOrders(paymentIntent, orders) {
+  const total = orders.reduce((sum, order) => sum + paidAmount(order), 0);
+  return (
+    orders.every(
+      (order) =>
+        order.buyerID === paymentIntent.metadata?.userID &&
+        order.currency?.toLowerCase() === paymentIntent.currency?.toLowerCase()
+    ) && total === paymentIntent.amount
+  );
+}
+
+// PAYMENT ROUTES
+function createPaymentsRouter({
+  repository,
+  payments,
+  authorize,
+  rateLimit,
+  idempotent,
+  pricing,
+  orderService,
+  auditLog,
+}) {
+  const router = express.Router();
+  const { priceCart, recordCouponRedemption } = pricing;
+  const { transitionOrder } = orderService;
+  const { recordChange } = auditLog;
+
+  // Create payment intent for Stripe
+  router.post(
+    "/create-payment-intent",
+    rateLimit("checkout"),
+    authorize("buyer"),
+    rateLimit("checkout", "user"),
+    idempotent("payment-intents"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle POST requests to create a payment intent
+      // • Extract the cart items (product IDs and quantities), the coupon code and the currency from the request body
+      // • Price the cart from the current product prices in the database, in the requested currency, applying the coupon
+      // • Create a payment intent for the server-side (discounted) total in that currency using the payment client
+      // • Record the buyer, the total and the amount charged for each line item, so orders can only be linked to the payment they were priced in
+      // • Record the payment intent in the audit log
+      // • Send the clientSecret and the itemized breakdown back to the client
+
+      // Extract the cart items, the optional coupon code and the optional currency from the request body
+      const { items, couponCode, currency } = req.body;
+
+      // Calculate the cart totals on the server, in the currency the buyer chose
+      const { errors, couponError, coupon, breakdown } = await priceCart(
+        items,
+        {
+          couponCode,
+          userID: req.user.uid,
+          currency,
+        }
+      );
+      if (errors) {
+        throw new ValidationError("Invalid cart", errors);
+      }
+      if (couponError) {
+        throw new ValidationError(couponError);
+      }
+
+      // Create a payment intent using the payment client, noting the coupon
+      // so its redemption is counted once the payment succeeds
+      // (the total is already in the currency's minor unit, and Stripe expects lower case currency codes)
+      const paymentIntent = await payments.createPaymentIntent({
+        amount: breakdown.total,
+        currency: breakdown.currency.toLowerCase(),
+        metadata: {
+          userID: req.user.uid,
+          ...(coupon && { couponId: coupon._id.toString() }),
+        },
+      });
+
+      // Record what the payment intent was created for, so the orders linked to it must match it
+      await repository.paymentIntents.insert({
+        _id: paymentIntent.id,
+        userID: req.user.uid,
+        currency: breakdown.currency,
+        total: breakdown.total,
+        items: breakdown.items.map(({ productId, quantity, amount }) => ({
+          productId,
+          quantity,
+          amount,
+        })),
+        createdAt: new Date(),
+      });
+
+      // Record the payment intent in the audit log
+      await recordChange(req, {
+        action: "payment.create",
+        entityType: "payment",
+        entityId: paymentIntent.id,
+        after: {
+          amount: breakdown.total,
+          currency: breakdown.currency,
+          ...(coupon && { couponCode: coupon.code }),
+        },
+      });
+
+      // Send the clientSecret, the payment intent ID (to link the orders to) and the breakdown back to the client
+      res.status(200).json({
+        clientSecret: paymentIntent.clientSecret,
+        paymentIntentId: paymentIntent.id,
+        breakdown,
+      });
+    })
+  );
+
+  // Receive Stripe webhook events
+  router.post(
+    "/webhooks/stripe",
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Verify the Stripe signature against the raw request body
+      // • Record the event ID so redelivered events are processed only once
+      // • Leave the linked orders alone if they aren't the buyer's or don't add up to the amount charged
+      // • Update the orders linked to the payment intent for the handled event types
+      // • Record the payment and the order changes in the audit log, made by "stripe"
+      // • Acknowledge the event so Stripe stops retrying it
+
+      let event;
+      try {
+        // Verify the Stripe signature and construct the event
+        event = payments.constructWebhookEvent(
+          req.rawBody,
+          req.headers["stripe-signature"]
+        );
+      } catch (error) {
+        // Reject requests whose signature can't be verified
+        req.log.warn("Stripe webhook signature verification failed", {
+          reason: error.message,
+        });
+        throw new ValidationError("Invalid Stripe signature");
+      }
+
+      // Acknowledge event types that aren't handled without recording them
+      const paymentStatus = PAYMENT_EVENT_STATUSES[event.type];
+      if (!paymentStatus) {
+        return res.status(200).json({ received: true });
+      }
+
+      try {
+        // Record the event, using its ID as the document ID so a redelivery fails with a duplicate key
+        await repository.webhookEvents.insert({
+          _id: event.id,
+          type: event.type,
+          receivedAt: new Date(),
+        });
+      } catch (error) {
+        // Skip events that have already been processed
+        if (error instanceof DuplicateKeyError) {
+          return res.status(200).json({ received: true, duplicate: true });
+        }
+        throw error;
+      }
+
+      try {
+        // Reject payments that don't match the orders linked to them
+        const paymentIntent = event.data.object;
+        const linkedOrders = await repository.orders.findByPaymentIntent(
+          paymentIntent.id
+        );
+        if (
+          linkedOrders.length > 0 &&
+          !paymentMatchesOrders(paymentIntent, linkedOrders)
+        ) {
+          req.log.warn("Stripe payment doesn't match its orders", {
+            eventId: event.id,
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount,
+            orderIDs: linkedOrders.map((order) => order.orderID),
+          });
+          await recordChange(req, {
+            action: "payment.rejected",
+            entityType: "payment",
+            entityId: paymentIntent.id,
+            after: { eventId: event.id, eventType: event.type },
+            actorID: "stripe",
+          });
+          return res.status(200).json({ received: true, rejected: true });
+        }
+
+        // Update the payment status of the orders linked to the payment intent
+        const updatedCount = await repository.orders.setPaymentStatus(
+          paymentIntent.id,
+          paymentStatus
+        );
+
+        // Record the payment status in the audit log (the orders' status changes are recorded as they are made)
+        const recordStripeChange = (change) =>
+          recordChange(req, { ...change, actorID: "stripe" });
+        await recordStripeChange({
+          action: `payment.${paymentStatus}`,
+          entityType: "payment",
+          entityId: paymentIntent.id,
+          after: { paymentStatus, eventId: event.id, updatedCount },
+        });
+
+        // Count the coupon redemption once the payment has succeeded
+        if (event.type === "payment_intent.succeeded") {
+          await recordCouponRedemption(paymentIntent);
+        }
+
+        // Move the linked orders along the status lifecycle where the transition is allowed
+        const orderStatus = PAYMENT_EVENT_ORDER_STATUSES[event.type];
+        if (orderStatus) {
+          const transitionableOrders =
+            await repository.orders.findByPaymentIntent(
+              paymentIntent.id,
+              statusesAllowingTransitionTo(orderStatus)
+            );
+          for (const order of transitionableOrders) {
+            await transitionOrder(order, orderStatus, {
+              note: `Stripe event ${event.id}`,
+              recordChange: recordStripeChange,
+            });
+          }
+        }
+
+        // Acknowledge the event
+        res.status(200).json({ received: true, updatedCount });
+      } catch (error) {
+        // Forget the event so Stripe's retry is processed again
+        await repository.webhookEvents.remove(event.id).catch((removeError) =>
+          req.log.error("Error forgetting Stripe webhook event", {
+            eventId: event.id,
+            error: removeError,
+          })
+        );
+
+        // Let the error middleware send a 500 status, so Stripe retries the event
+        throw error;
+      }
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createPaymentsRouter };
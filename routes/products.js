@@ -0,0 +1,782 @@
+// Standard Node.js modules
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+const multer = require("multer"); // Middleware to parse multipart/form-data uploads
+
+// Local modules
+const {
+  validateBody,
+  parseObjectId,
+  parseNumberParam,
+} = require("../middleware/validation");
+const { asyncHandler } = require("../middleware/errors");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+const { productSchema, productUpdateSchema } = require("../lib/schemas");
+const {
+  MAX_PAGE_SIZE,
+  parseProductQuery,
+  encodeProductCursor,
+  decodeProductCursor,
+} = require("../lib/catalog");
+const {
+  PRODUCT_FILE_FORMATS,
+  parseImportFile,
+  formatExportHeader,
+  formatExportLine,
+} = require("../lib/productFiles");
+const {
+  PRODUCT_IMAGE_MAX_SIZE,
+  PRODUCT_IMAGE_MAX_UPLOAD,
+} = require("../lib/productImages");
+const { withDisplayPrice } = require("../lib/currency");
+const { DuplicateKeyError } = require("../storage/errors");
+
+// Import file configuration
+const IMPORT_MAX_SIZE = process.env.PRODUCT_IMPORT_MAX_SIZE || "5mb"; // Largest import file accepted
+
+// Content types of product files, by format
+const PRODUCT_FILE_TYPES = {
+  csv: "text/csv",
+  jsonl: "application/x-ndjson",
+};
+
+// Content types accepted for import files
+// (JSON Lines files are sent with several different content types)
+const IMPORT_CONTENT_TYPES = {
+  csv: ["text/csv"],
+  jsonl: [
+    "application/x-ndjson",
+    "application/jsonl",
+    "application/x-jsonlines",
+  ],
+};
+
+// Image uploads are kept in memory until their type has been checked,
+// so files that aren't images never reach the file storage
+// (an upload buffers at most PRODUCT_IMAGE_MAX_UPLOAD files of PRODUCT_IMAGE_MAX_SIZE bytes)
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PRODUCT_IMAGE_MAX_SIZE, files: PRODUCT_IMAGE_MAX_UPLOAD },
+});
+
+// PRODUCTS ROUTES
+function createProductsRouter({
+  repository,
+  authorize,
+  rateLimit,
+  orderService,
+  productImporter,
+  productImages,
+  exchangeRates,
+  catalogCache,
+  auditLog,
+}) {
+  const router = express.Router();
+  const { logStockChange, notifyLowStock } = orderService;
+  const { importProducts } = productImporter;
+  const { addImages, reorderImages, removeImage, removeProductImages } =
+    productImages;
+  const { resolveCurrency } = exchangeRates;
+  const { cacheResponse, invalidate } = catalogCache;
+  const { recordChange } = auditLog;
+
+  // Add the price of each product in the display currency
+  const withDisplayPrices = (products, currency, rates) =>
+    products.map((product) => withDisplayPrice(product, currency, rates));
+
+  // Find a product by the ID in the request parameters, checking that it belongs to the authenticated seller
+  async function findOwnProduct(req, action) {
+    const productId = parseObjectId(req.params.id, "product ID");
+    const product = await repository.products.findById(productId);
+    if (!product) {
+      throw new NotFoundError("Product not found");
+    }
+    if (product.sellerID !== req.user.uid) {
+      throw new ForbiddenError(
+        `Forbidden: You can only ${action} your own products`
+      );
+    }
+    return product;
+  }
+
+  // Get all products, or a page of them
+  router.get(
+    "/products",
+    cacheResponse,
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Check the display currency
+      // • Send a page of products in a stable order when a page or page size is requested
+      // • Otherwise retrieve all products from the database and shuffle them
+      // • Send the products with their display prices as a JSON response
+
+      // Check the display currency (the base currency by default) and load the exchange rates
+      const { currency, rates } = await resolveCurrency(req.query.currency);
+
+      // Send a single page of products when the client asks for one
+      if (req.query.page !== undefined || req.query.pageSize !== undefined) {
+        // Parse the page number and page size
+        const errors = [];
+        const page =
+          parseNumberParam(req.query, "page", errors, {
+            min: 1,
+            integer: true,
+          }) || 1;
+        const pageSize =
+          parseNumberParam(req.query, "pageSize", errors, {
+            min: 1,
+            max: MAX_PAGE_SIZE,
+            integer: true,
+          }) || 20;
+        if (errors.length > 0) {
+          throw new ValidationError("Invalid query", errors);
+        }
+
+        // Retrieve the page of products with the total count
+        const { products, totalProducts } = await repository.products.listPage({
+          page,
+          pageSize,
+        });
+
+        return res.json({
+          products: withDisplayPrices(products, currency, rates),
+          currency,
+          currentPage: page,
+          totalPages: Math.ceil(totalProducts / pageSize),
+          pageSize,
+          totalProducts,
+        });
+      }
+
+      // Retrieve all products from the repository
+      const products = await repository.products.list();
+
+      // Shuffle the products array
+      for (let i = products.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [products[i], products[j]] = [products[j], products[i]];
+      }
+
+      // Send the shuffled products as a JSON response
+      res.json(withDisplayPrices(products, currency, rates));
+    })
+  );
+
+  // Search products with filters, sorting, pagination and facet counts
+  router.get(
+    "/products/search",
+    rateLimit("search"),
+    cacheResponse,
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Check the display currency the prices are filtered, sorted and shown in
+      // • Parse the search text, filters, sort order and page from the query parameters
+      // • Search for matching products using the text index
+      // • Count the matches per category and price bucket for the filter sidebar
+      // • Send the page of products, pagination metadata and facets as a JSON response
+
+      // Check the display currency (the base currency by default) and load the exchange rates
+      const { currency, rates } = await resolveCurrency(req.query.currency);
+
+      // Parse the query parameters
+      const { errors, ...query } = parseProductQuery(req.query, {
+        currency,
+        rates,
+      });
+      if (errors) {
+        throw new ValidationError("Invalid search", errors);
+      }
+
+      // Search, count and build the facets for the filter sidebar
+      const result = await repository.products.search(query);
+
+      // Send the matched products with pagination metadata and facets
+      res.json({
+        products: withDisplayPrices(result.products, currency, rates),
+        currency,
+        currentPage: query.page,
+        totalPages: Math.ceil(result.total / query.pageSize),
+        pageSize: query.pageSize,
+        totalProducts: result.total,
+        facets: {
+          categories: result.categories,
+          priceRanges: result.priceRanges,
+        },
+      });
+    })
+  );
+
+  // Get paginated products with a stable order
+  router.get(
+    "/products/page",
+    cacheResponse,
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Check the display currency the prices are filtered, sorted and shown in
+      // • Parse the filters, sort order and page size shared with product search
+      // • Decode the cursor pointing past the last product of the previous page
+      // • Retrieve the next page of products in a stable order
+      // • Send the page of products along with the next cursor and total count as a JSON response
+
+      // Check the display currency (the base currency by default) and load the exchange rates
+      const { currency, rates } = await resolveCurrency(req.query.currency);
+
+      // Parse the filters, sort order and page size (10 products per page by default)
+      const { errors, ...query } = parseProductQuery(req.query, {
+        defaultPageSize: 10,
+        currency,
+        rates,
+      });
+      if (errors) {
+        throw new ValidationError("Invalid query", errors);
+      }
+
+      // Decode the cursor, if the client is asking for a page after the first one
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeProductCursor(
+          req.query.cursor,
+          query.sortName,
+          query.sortFields
+        );
+        if (!cursor) {
+          throw new ValidationError("Invalid cursor");
+        }
+      }
+
+      // Retrieve the next page of products in a stable order, with the total count
+      const { products, totalProducts, nextPosition } =
+        await repository.products.page(query, cursor);
+
+      // Work out the cursor for the next page
+      const nextCursor = nextPosition
+        ? encodeProductCursor(
+            query.sortName,
+            nextPosition.sortValues,
+            nextPosition.id
+          )
+        : null;
+
+      // Send the response as JSON, including products and pagination metadata
+      res.json({
+        products: withDisplayPrices(products, currency, rates),
+        currency,
+        pageSize: query.pageSize,
+        totalProducts,
+        nextCursor,
+      });
+    })
+  );
+
+  // Get a products of a specific seller
+  router.get(
+    "/products/seller/:uid",
+    cacheResponse,
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Extract the seller's Firebase UID from the request parameters
+      // • Check the display currency
+      // • Retrieve all products for the specific seller from the database
+      // • Send the products with their display prices as a JSON response
+
+      // Extract the seller's Firebase UID from the request parameters
+      const sellerUid = req.params.uid;
+
+      // Check the display currency (the base currency by default) and load the exchange rates
+      const { currency, rates } = await resolveCurrency(req.query.currency);
+
+      // Retrieve all products of the specific seller from the repository
+      const sellerProducts = await repository.products.findBySeller(sellerUid);
+      // Send the retrieved products as a JSON response
+      res.json(withDisplayPrices(sellerProducts, currency, rates));
+    })
+  );
+
+  // Import products from a CSV or JSON Lines file
+  router.post(
+    "/products/import",
+    authorize("seller"),
+    express.text({
+      type: Object.values(IMPORT_CONTENT_TYPES).flat(),
+      limit: IMPORT_MAX_SIZE,
+    }),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Work out the file format from the format query parameter or the content type
+      // • Parse the rows of the file
+      // • Validate every row and upsert the seller's products by SKU, unless it is a dry run
+      // • Record every created or updated product in the audit log
+      // • Send a report with the outcome of every row
+
+      // Work out the file format, preferring the format query parameter
+      const format =
+        req.query.format ??
+        Object.keys(IMPORT_CONTENT_TYPES).find((candidate) =>
+          req.is(IMPORT_CONTENT_TYPES[candidate])
+        );
+      if (!PRODUCT_FILE_FORMATS.includes(format)) {
+        throw new ValidationError(
+          `Send a CSV (text/csv) or JSON Lines (application/x-ndjson) file, or set format to one of: ${PRODUCT_FILE_FORMATS.join(
+            ", "
+          )}`
+        );
+      }
+      if (typeof req.body !== "string") {
+        throw new ValidationError(
+          "The request body must be a CSV or JSON Lines file"
+        );
+      }
+
+      // Parse the file and import its rows for the authenticated seller
+      const rows = parseImportFile(req.body, format);
+      const report = await importProducts(req.user.uid, rows, {
+        dryRun: ["true", "1"].includes(req.query.dryRun),
+        recordChange: (change) => recordChange(req, change),
+      });
+
+      // Drop the cached catalog responses once products have changed
+      if (!report.dryRun) {
+        invalidate();
+      }
+
+      // Send the report
+      res.json({
+        message: report.dryRun
+          ? "Import checked, no products were changed"
+          : "Products imported successfully",
+        ...report,
+      });
+    })
+  );
+
+  // Export the authenticated seller's products as a CSV or JSON Lines file
+  router.get(
+    "/products/export",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Validate the requested format (CSV by default)
+      // • Stream the seller's products from the database, one line per product
+      // • Send them as a file download
+
+      // Validate the requested format
+      const format = req.query.format ?? "csv";
+      if (!PRODUCT_FILE_FORMATS.includes(format)) {
+        throw new ValidationError(
+          `format must be one of: ${PRODUCT_FILE_FORMATS.join(", ")}`
+        );
+      }
+
+      // Format the seller's products one at a time, so large catalogs aren't held in memory
+      const products = repository.products.streamBySeller(req.user.uid);
+      async function* lines() {
+        yield formatExportHeader(format);
+        for await (const product of products) {
+          yield formatExportLine(product, format);
+        }
+      }
+
+      // Send the file as a download
+      res.type(PRODUCT_FILE_TYPES[format]);
+      res.attachment(`products.${format}`);
+      await pipeline(Readable.from(lines()), res);
+    })
+  );
+
+  // Get a specific product
+  router.get(
+    "/products/:id",
+    cacheResponse,
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Extract the product ID from the request parameters
+      // • Check the display currency
+      // • Handle the case where the product is not found
+      // • Send the product with its display price as a JSON response
+
+      // Extract the product ID from the request parameters, rejecting invalid IDs
+      const productId = parseObjectId(req.params.id, "product ID");
+
+      // Check the display currency (the base currency by default) and load the exchange rates
+      const { currency, rates } = await resolveCurrency(req.query.currency);
+
+      // Find the product by its ID
+      const product = await repository.products.findById(productId);
+      if (!product) {
+        throw new NotFoundError("Product not found");
+      }
+
+      // Send the product with its display price
+      res.json(withDisplayPrice(product, currency, rates));
+    })
+  );
+
+  // Add a new product
+  router.post(
+    "/products/add",
+    authorize("seller"),
+    validateBody(productSchema),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Receive new product data from the request body
+      // • Check that the product's currency has an exchange rate
+      // • Set the product's seller to the authenticated user
+      // • Insert the new product into the database
+      // • Record the new product in the audit log
+      // • Send a success response with the inserted product's ID
+
+      // Check that the product's currency (the base currency by default) has an exchange rate
+      const { currency } = await resolveCurrency(req.body.currency);
+
+      // Extract the validated product data from the request body,
+      // taking the seller from the verified token and starting without reviews
+      const newProduct = {
+        ...req.body,
+        currency,
+        sellerID: req.user.uid,
+        star: 0,
+        starCount: 0,
+      };
+
+      // Insert the new product into the repository
+      let insertedId;
+      try {
+        insertedId = await repository.products.insert(newProduct);
+      } catch (error) {
+        // The unique index rejects a second product with the same SKU
+        if (error instanceof DuplicateKeyError) {
+          throw new ConflictError("You already have a product with this SKU");
+        }
+        throw error;
+      }
+
+      // Record the new product in the audit log
+      await recordChange(req, {
+        action: "product.create",
+        entityType: "product",
+        entityId: insertedId,
+        after: newProduct,
+      });
+
+      // Drop the cached catalog responses, so listings include the new product
+      invalidate();
+
+      // Send a 201 Created status with a success message and the inserted product's ID
+      res.status(201).json({
+        message: "A new product added successfully",
+        insertedId,
+      });
+    })
+  );
+
+  // Update a specific product
+  router.put(
+    "/products/update/:id",
+    authorize("seller"),
+    validateBody(productUpdateSchema, { partial: true }),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Retrieve the updated product data from the request body
+      // • Check that a new currency has an exchange rate
+      // • Find the product and check that it belongs to the authenticated seller
+      // • Update the product in the database
+      // • Record the changes in the audit log
+      // • Send a success response with the update result
+
+      // Retrieve the validated product data from the request body
+      // (the product's ID and seller aren't part of the schema, so they can't be changed)
+      const updatedProduct = req.body;
+
+      // Check that a new currency has an exchange rate
+      if (updatedProduct.currency !== undefined) {
+        await resolveCurrency(updatedProduct.currency);
+      }
+
+      // Find the product and check that it belongs to the authenticated seller
+      const product = await findOwnProduct(req, "update");
+
+      // Update the product in the database using the product ID and the updated data
+      let modifiedCount;
+      try {
+        modifiedCount = await repository.products.update(
+          product._id,
+          req.user.uid, // Only the seller's own product is updated
+          updatedProduct // The new values for the product
+        );
+      } catch (error) {
+        // The unique index rejects a SKU used by another of the seller's products
+        if (error instanceof DuplicateKeyError) {
+          throw new ConflictError("You already have a product with this SKU");
+        }
+        throw error;
+      }
+
+      // Record the changed fields in the audit log
+      if (modifiedCount > 0) {
+        await recordChange(req, {
+          action: "product.update",
+          entityType: "product",
+          entityId: product._id,
+          before: product,
+          after: { ...product, ...updatedProduct },
+        });
+      }
+
+      // Drop the cached catalog responses, so they show the updated product
+      invalidate();
+
+      // Send a success response with the update result
+      res.json({
+        message: "Product updated successfully",
+        modifiedCount, // Include the number of modified products
+      });
+    })
+  );
+
+  // Delete a specific product
+  router.delete(
+    "/products/delete/:id",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Find the product and check that it belongs to the authenticated seller
+      // • Delete the product from the database, along with its image files
+      // • Record the deleted product in the audit log
+      // • Send a success response with the deletion result
+
+      // Find the product and check that it belongs to the authenticated seller
+      const product = await findOwnProduct(req, "delete");
+
+      // Delete the seller's product from the database using its ID
+      const deletedCount = await repository.products.delete(
+        product._id,
+        req.user.uid
+      );
+
+      // Delete the product's image files and record the deleted product in the audit log
+      if (deletedCount > 0) {
+        await removeProductImages(product);
+        await recordChange(req, {
+          action: "product.delete",
+          entityType: "product",
+          entityId: product._id,
+          before: product,
+        });
+      }
+
+      // Drop the cached catalog responses, so they no longer list the product
+      invalidate();
+
+      // Send a success response with information about the deletion
+      res.json({
+        message: "Product deleted successfully",
+        deletedCount, // Include the number of deleted products
+      });
+    })
+  );
+
+  // Adjust the stock of a specific product
+  router.patch(
+    "/products/:id/stock",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Extract the stock adjustment and its reason
+      // • Validate the adjustment and the reason
+      // • Check that the product belongs to the authenticated seller
+      // • Apply the adjustment without letting the stock go below zero
+      // • Record the adjustment in the stock log and the audit log
+      // • Send a low-stock event to the seller if the product is now low on stock
+      // • Send a success response with the new stock count
+
+      // Extract the adjustment details
+      const { adjustment, reason } = req.body;
+
+      // Validate the adjustment and the reason
+      if (!Number.isInteger(adjustment) || adjustment === 0) {
+        throw new ValidationError("Adjustment must be a non-zero integer");
+      }
+      if (typeof reason !== "string" || !reason.trim()) {
+        throw new ValidationError("A reason is required");
+      }
+
+      // Find the product and check that it belongs to the authenticated seller
+      const product = await findOwnProduct(req, "adjust");
+
+      // Apply the adjustment, never letting the stock go below zero
+      const updatedProduct = await repository.products.adjustStock(
+        product._id,
+        adjustment
+      );
+      if (!updatedProduct) {
+        throw new ConflictError("Adjustment would make the stock negative");
+      }
+
+      // Record the adjustment in the stock log and the audit log
+      await logStockChange(product._id, adjustment, reason.trim(), {
+        actor: req.user.uid,
+      });
+      await recordChange(req, {
+        action: "product.stock_adjust",
+        entityType: "product",
+        entityId: product._id,
+        before: product,
+        after: updatedProduct,
+      });
+
+      // Tell the seller if the adjustment leaves the product low on stock
+      await notifyLowStock(updatedProduct, adjustment);
+
+      // Drop the cached catalog responses, so they show the new stock count
+      invalidate();
+
+      // Send a success response with the new stock count
+      res.json({
+        message: "Stock adjusted successfully",
+        stock: updatedProduct.stock,
+      });
+    })
+  );
+
+  // Upload images of a specific product
+  router.post(
+    "/products/:id/images",
+    authorize("seller"),
+    // Find the product and check that it belongs to the authenticated seller
+    // before the upload is read, so other sellers' uploads are never buffered
+    asyncHandler(async (req, res, next) => {
+      req.product = await findOwnProduct(req, "add images to");
+      next();
+    }),
+    imageUpload.array("images"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Check that the uploaded files are images of an accepted type and size
+      // • Save the images through the file storage and add them to the product
+      // • Record the added images in the audit log
+      // • Send a 201 Created response with the product's images
+
+      const { product } = req;
+
+      // Save the uploaded images (the upload middleware has already checked their size and number)
+      const updatedProduct = await addImages(product, req.files);
+
+      // Record the added images in the audit log
+      await recordChange(req, {
+        action: "product.images_add",
+        entityType: "product",
+        entityId: product._id,
+        before: product,
+        after: updatedProduct,
+      });
+
+      // Drop the cached catalog responses, so they show the new images
+      invalidate();
+
+      // Send a 201 Created status with the product's images
+      res.status(201).json({
+        message: "Images uploaded successfully",
+        img: updatedProduct.img,
+        images: updatedProduct.images,
+      });
+    })
+  );
+
+  // Reorder the images of a specific product
+  router.put(
+    "/products/:id/images/order",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Check that the product belongs to the authenticated seller
+      // • Check that the new order lists every image of the product once
+      // • Store the images in the new order, the first one becoming the product's main image
+      // • Record the new order in the audit log
+      // • Send a success response with the product's images
+
+      // Validate the new order
+      const { imageIds } = req.body;
+      if (
+        !Array.isArray(imageIds) ||
+        !imageIds.every((imageId) => typeof imageId === "string")
+      ) {
+        throw new ValidationError("imageIds must be an array of image IDs");
+      }
+
+      // Find the product and check that it belongs to the authenticated seller
+      const product = await findOwnProduct(req, "reorder images of");
+
+      // Store the images in the new order
+      const updatedProduct = await reorderImages(product, imageIds);
+
+      // Record the new order in the audit log
+      await recordChange(req, {
+        action: "product.images_reorder",
+        entityType: "product",
+        entityId: product._id,
+        before: product,
+        after: updatedProduct,
+      });
+
+      // Drop the cached catalog responses, so they show the new order
+      invalidate();
+
+      // Send a success response with the product's images
+      res.json({
+        message: "Images reordered successfully",
+        img: updatedProduct.img,
+        images: updatedProduct.images,
+      });
+    })
+  );
+
+  // Delete an image of a specific product
+  router.delete(
+    "/products/:id/images/:imageId",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Check that the product belongs to the authenticated seller
+      // • Remove the image from the product and delete its file
+      // • Record the removed image in the audit log
+      // • Send a success response with the product's remaining images
+
+      // Find the product and check that it belongs to the authenticated seller
+      const product = await findOwnProduct(req, "delete images of");
+
+      // Remove the image and delete its file
+      const updatedProduct = await removeImage(product, req.params.imageId);
+
+      // Record the removed image in the audit log
+      await recordChange(req, {
+        action: "product.image_delete",
+        entityType: "product",
+        entityId: product._id,
+        before: product,
+        after: updatedProduct,
+      });
+
+      // Drop the cached catalog responses, so they no longer show the image
+      invalidate();
+
+      // Send a success response with the remaining images
+      res.json({
+        message: "Image deleted successfully",
+        img: updatedProduct.img,
+        images: updatedProduct.images,
+      });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createProductsRouter };
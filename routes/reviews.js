@@ -0,0 +1,188 @@
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+const { ObjectId } = require("mongodb"); // Product IDs are MongoDB ObjectIds in every storage backend
+
+// Local modules
+const {
+  validateBody,
+  parseNumberParam,
+  parseObjectId,
+} = require("../middleware/validation");
+const { asyncHandler } = require("../middleware/errors");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../lib/errors");
+const { reviewSchema } = require("../lib/schemas");
+const { MAX_PAGE_SIZE } = require("../lib/catalog");
+const { PURCHASED_ORDER_STATUSES } = require("../lib/reviews");
+const { DuplicateKeyError } = require("../storage/errors");
+
+// PRODUCT REVIEWS ROUTES
+function createReviewsRouter({
+  repository,
+  authorize,
+  rateLimit,
+  reviewService,
+  auditLog,
+}) {
+  const router = express.Router();
+  const { refreshProductRating } = reviewService;
+  const { recordChange } = auditLog;
+
+  // Get random product reviews
+  router.get(
+    "/product-reviews",
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle GET requests to retrieve random product reviews
+      // • Fetch a random number (not less than 10) of product reviews from the database
+      // • Send the reviews as a response
+
+      // Determine the number of reviews to fetch (random number between 10 and 20)
+      const reviewCount = Math.floor(Math.random() * 11) + 10;
+
+      // Fetch random reviews, leaving out those hidden by an admin
+      const reviews = await repository.reviews.sample(reviewCount);
+
+      // Check if reviews were found
+      if (reviews.length === 0) {
+        throw new NotFoundError("No reviews found");
+      }
+
+      // Send the reviews as a response
+      res.status(200).json(reviews);
+    })
+  );
+
+  // Add new product review
+  router.post(
+    "/product-reviews/add",
+    rateLimit("reviews"),
+    authorize("buyer"),
+    rateLimit("reviews", "user"),
+    validateBody({
+      review: { type: "object", required: true, fields: reviewSchema },
+    }),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Handle POST requests to add a new product review
+      // • Check that the reviewed product exists
+      // • Mark the review as a verified purchase if the reviewer has bought the product
+      // • Insert the new review, allowing a single review per user and product
+      // • Record the new review in the audit log
+      // • Update the product's average rating and review count
+      // • Send a success response
+
+      // Extract the validated review data from the request body
+      const { review } = req.body;
+      const productId = new ObjectId(review.productId);
+
+      // Check that the reviewed product exists
+      const product = await repository.products.findById(productId);
+      if (!product) {
+        throw new NotFoundError("Product not found");
+      }
+
+      // Check whether the reviewer has a completed order for the product
+      const purchased = await repository.orders.hasPurchase(
+        productId,
+        req.user.uid,
+        PURCHASED_ORDER_STATUSES
+      );
+
+      // Insert the new review into the database, tied to the product and the reviewer
+      const newReview = {
+        ...review,
+        productId,
+        reviewerID: req.user.uid,
+        verifiedPurchase: purchased,
+        createdAt: new Date(),
+      };
+      try {
+        await repository.reviews.insert(newReview);
+      } catch (error) {
+        // The unique index rejects a second review of the same product by the same user
+        if (error instanceof DuplicateKeyError) {
+          throw new ConflictError("You have already reviewed this product");
+        }
+        throw error;
+      }
+
+      // Record the new review in the audit log
+      await recordChange(req, {
+        action: "review.create",
+        entityType: "review",
+        entityId: newReview._id,
+        after: newReview,
+      });
+
+      // Update the product's average rating and review count
+      await refreshProductRating(productId);
+
+      // Send a success response
+      res
+        .status(201)
+        .json({ message: "Review added successfully", review: newReview });
+    })
+  );
+
+  // Get the reviews of a specific product
+  router.get(
+    "/products/:id/reviews",
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Extract the product ID and the requested page from the request
+      // • Retrieve a page of the product's visible reviews, newest first
+      // • Send the reviews with pagination metadata and the product's rating as a JSON response
+
+      // Extract the product ID and validate it
+      const productId = parseObjectId(req.params.id, "product ID");
+
+      // Parse the page number and page size
+      const errors = [];
+      const page =
+        parseNumberParam(req.query, "page", errors, {
+          min: 1,
+          integer: true,
+        }) || 1;
+      const pageSize =
+        parseNumberParam(req.query, "pageSize", errors, {
+          min: 1,
+          max: MAX_PAGE_SIZE,
+          integer: true,
+        }) || 10;
+      if (errors.length > 0) {
+        throw new ValidationError("Invalid query", errors);
+      }
+
+      // Find the product, for its rating
+      const product = await repository.products.findById(productId);
+      if (!product) {
+        throw new NotFoundError("Product not found");
+      }
+
+      // Retrieve the page of reviews, leaving out those hidden by an admin
+      const { reviews, totalReviews } = await repository.reviews.findByProduct(
+        product._id,
+        { page, pageSize }
+      );
+
+      // Send the reviews with pagination metadata and the product's rating
+      res.json({
+        reviews,
+        currentPage: page,
+        totalPages: Math.ceil(totalReviews / pageSize),
+        pageSize,
+        totalReviews,
+        averageRating: product.star || 0,
+        reviewCount: product.starCount || 0,
+      });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createReviewsRouter };
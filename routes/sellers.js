@@ -0,0 +1,214 @@
+// Third-party packages
+const express = require("express"); // Main framework for creating the server
+
+// Local modules
+const { parseNumberParam } = require("../middleware/validation");
+const { asyncHandler } = require("../middleware/errors");
+const { ValidationError } = require("../lib/errors");
+const { BASE_CURRENCY } = require("../lib/currency");
+const { LOW_STOCK_THRESHOLD } = require("../lib/orders");
+
+// Seller analytics configuration
+const ANALYTICS_INTERVALS = ["day", "week", "month"]; // Periods revenue and units can be grouped by
+const SOLD_ORDER_STATUSES = ["paid", "shipped", "delivered", "refunded"]; // Statuses of orders that were paid for
+
+// Seller event stream configuration
+const SELLER_EVENTS_HEARTBEAT =
+  parseInt(process.env.SELLER_EVENTS_HEARTBEAT) || 25; // Time between keep-alive comments, so proxies don't close idle streams (seconds)
+const SELLER_EVENTS_RETRY = 5000; // Time clients wait before reconnecting to a closed stream (ms)
+
+// Format an event as a Server-Sent Events message
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    ...event.data,
+    createdAt: event.createdAt,
+  })}\n\n`;
+}
+
+// Parse the ID of the last event a reconnecting client received (0 when it is new)
+function parseLastEventId(value) {
+  if (value === undefined || value === "") {
+    return 0;
+  }
+  const lastEventId = Number(value);
+  if (!Number.isSafeInteger(lastEventId) || lastEventId < 0) {
+    throw new ValidationError("Last-Event-ID must be an event ID");
+  }
+  return lastEventId;
+}
+
+// SELLER ROUTES
+function createSellersRouter({ repository, authorize, eventPublisher }) {
+  const router = express.Router();
+
+  // Retrieve sales analytics for the authenticated seller
+  router.get(
+    "/sellers/me/analytics",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Parse the date range, grouping interval and low-stock threshold
+      // • Aggregate the seller's paid orders into revenue and units per period
+      // • Aggregate the top-selling products, average order value and refund rate
+      // • List the seller's products that are low on stock
+      // • Send the analytics as a JSON response
+
+      // Parse the date range, defaulting to the last 30 days
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+      if (isNaN(from) || isNaN(to) || from > to) {
+        throw new ValidationError(
+          "from and to must be valid dates, with from before to"
+        );
+      }
+
+      // Parse the grouping interval and the low-stock threshold
+      const interval = req.query.interval || "day";
+      if (!ANALYTICS_INTERVALS.includes(interval)) {
+        throw new ValidationError(
+          `interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}`
+        );
+      }
+      const errors = [];
+      const lowStockThreshold =
+        parseNumberParam(req.query, "lowStockThreshold", errors, {
+          min: 0,
+          integer: true,
+        }) ?? LOW_STOCK_THRESHOLD;
+      if (errors.length > 0) {
+        throw new ValidationError("Invalid query", errors);
+      }
+
+      // Aggregate the seller's paid orders in the date range
+      const sales = await repository.orders.salesAnalytics(req.user.uid, {
+        from,
+        to,
+        interval,
+        statuses: SOLD_ORDER_STATUSES,
+      });
+
+      // List the seller's products that are low on stock
+      const lowStockProducts = await repository.products.findLowStock(
+        req.user.uid,
+        lowStockThreshold
+      );
+
+      // Shape the analytics for the dashboard charts
+      const orderCount = sales.totals.orders;
+      res.json({
+        from,
+        to,
+        interval,
+        currency: BASE_CURRENCY, // Revenue is in minor units of the base currency
+        series: sales.series.map(({ period, revenue, units, orders }) => ({
+          period,
+          revenue,
+          units,
+          orders,
+        })),
+        totals: {
+          revenue: sales.totals.revenue,
+          units: sales.totals.units,
+          orders: orderCount,
+          averageOrderValue: orderCount
+            ? Math.round(sales.totals.revenue / orderCount)
+            : 0,
+          refundRate: sales.paidCount
+            ? Math.round((sales.refundedCount / sales.paidCount) * 10000) /
+              10000
+            : 0,
+        },
+        topProducts: sales.topProducts.map(
+          ({ productId, name, revenue, units }) => ({
+            productId,
+            name,
+            revenue,
+            units,
+          })
+        ),
+        lowStockThreshold,
+        lowStockProducts,
+      });
+    })
+  );
+
+  // Stream the authenticated seller's order and stock events as Server-Sent Events
+  router.get(
+    "/sellers/me/events",
+    authorize("seller"),
+    asyncHandler(async (req, res) => {
+      // Task list:
+      // • Read the ID of the last event a reconnecting client received
+      // • Subscribe to the seller's new events
+      // • Send the events the client missed, then the new events as they are published
+      // • Send keep-alive comments while the stream is idle
+      // • Unsubscribe once the client disconnects
+
+      const sellerID = req.user.uid;
+
+      // Read the last event ID (browsers send the Last-Event-ID header when they reconnect)
+      let lastEventId = parseLastEventId(
+        req.get("Last-Event-ID") ?? req.query.lastEventId
+      );
+
+      // Send an event unless the client already received it
+      const send = (event) => {
+        if (Number(event.id) > lastEventId) {
+          lastEventId = Number(event.id);
+          res.write(formatEvent(event));
+        }
+      };
+
+      // Subscribe before fetching the missed events, queueing the new events
+      // published in the meantime so none are lost
+      let queuedEvents = [];
+      const unsubscribe = eventPublisher.subscribe(sellerID, (event) =>
+        queuedEvents ? queuedEvents.push(event) : send(event)
+      );
+
+      // Stop sending events once the client disconnects
+      let heartbeat;
+      res.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+
+      // Fetch the events published since the last one the client received
+      const missedEvents = lastEventId
+        ? await eventPublisher.eventsSince(sellerID, lastEventId)
+        : [];
+
+      // Give up if the client disconnected while they were fetched
+      if (res.destroyed) {
+        return;
+      }
+
+      // Open the stream, telling proxies not to buffer it
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: ${SELLER_EVENTS_RETRY}\n\n`);
+
+      // Send the missed events, then the ones queued while they were fetched
+      missedEvents.forEach(send);
+      queuedEvents.forEach(send);
+      queuedEvents = null;
+
+      // Keep the connection alive while no events are published
+      heartbeat = setInterval(
+        () => res.write(": keep-alive\n\n"),
+        SELLER_EVENTS_HEARTBEAT * 1000
+      );
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createSellersRouter };
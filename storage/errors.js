@@ -0,0 +1,12 @@
+// Storage errors shared by every repository backend
+
+// Raised when an insert would break a unique constraint
+// (a second review of a product by the same user, a duplicate coupon code, a redelivered webhook event...)
+class DuplicateKeyError extends Error {
+  constructor(message = "Duplicate key") {
+    super(message);
+    this.name = "DuplicateKeyError";
+  }
+}
+
+module.exports = { DuplicateKeyError };
@@ -0,0 +1,1108 @@
+// Standard Node.js modules
+const fs = require("fs");
+
+// Third-party packages
+const { ObjectId, BSON } = require("mongodb"); // ObjectIds and Extended JSON, so documents look the same as in MongoDB
+
+// Local modules
+const { BASE_CURRENCY, toMinorUnits } = require("../lib/currency");
+const { logger } = require("../lib/logger");
+const { paidAmount } = require("../lib/refunds");
+const { DuplicateKeyError } = require("./errors");
+
+// Collections kept by the repository
+const COLLECTIONS = [
+  "products",
+  "orders",
+  "reviews",
+  "webhookEvents",
+  "stockAdjustments",
+  "coupons",
+  "couponRedemptions",
+  "idempotencyKeys",
+  "exchangeRates",
+  "auditLog",
+  "paymentIntents",
+];
+
+// Weights of the product fields matched by text search, as in the MongoDB text index
+const TEXT_SEARCH_WEIGHTS = { name: 10, category: 3, seller: 1 };
+
+// Copy a document, keeping ObjectIds and dates, so callers never share objects with the store
+function clone(document) {
+  return BSON.EJSON.parse(BSON.EJSON.stringify(document));
+}
+
+// Compare two IDs (ObjectIds or strings)
+function idEquals(a, b) {
+  return a != null && b != null && a.toString() === b.toString();
+}
+
+// Compare two field values the way MongoDB sorts them (missing values first)
+function compareValues(a, b) {
+  if (a == null || b == null) {
+    return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  }
+  const comparable = (value) =>
+    value instanceof Date
+      ? value.getTime()
+      : value instanceof ObjectId
+      ? value.toHexString()
+      : value;
+  const [x, y] = [comparable(a), comparable(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Sort documents on [field, direction] pairs, with _id as the final tie-breaker
+function sortDocuments(documents, sortFields, valueOf = (doc, f) => doc[f]) {
+  return documents.sort((a, b) => {
+    for (const [field, direction] of [...sortFields, ["_id", 1]]) {
+      const order = compareValues(valueOf(a, field), valueOf(b, field));
+      if (order !== 0) {
+        return order * direction;
+      }
+    }
+    return 0;
+  });
+}
+
+// Split text into lower case words for the text search approximation
+function tokenize(text) {
+  return (
+    String(text ?? "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  );
+}
+
+// Convert the prices of documents saved before prices were stored in minor units with a currency
+// (their prices are in major units of the base currency)
+function migrateLegacyPrices({ products, orders, coupons }) {
+  const isLegacy = (document) => document.currency === undefined;
+
+  // Convert the given fields of a document, leaving out the missing ones
+  const convertFields = (document, fields) => {
+    fields
+      .filter((field) => typeof document[field] === "number")
+      .forEach((field) => {
+        document[field] = toMinorUnits(document[field], BASE_CURRENCY);
+      });
+    document.currency = BASE_CURRENCY;
+  };
+
+  products.filter(isLegacy).forEach((product) => {
+    convertFields(product, ["price", "shipping"]);
+  });
+  orders.filter(isLegacy).forEach((order) => {
+    convertFields(order, ["price", "shipping"]);
+    Object.assign(order, {
+      exchangeRate: 1,
+      basePrice: order.price,
+      amount:
+        ((order.price || 0) + (order.shipping || 0)) * (order.quantity || 0),
+    });
+  });
+  coupons.filter(isLegacy).forEach((coupon) => {
+    convertFields(
+      coupon,
+      coupon.type === "fixed" ? ["value", "minCartValue"] : ["minCartValue"]
+    );
+  });
+}
+
+// Truncate a date to the start of its day, week (starting on Sunday) or month in UTC, as $dateTrunc does
+function truncateDate(date, unit) {
+  const truncated = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (unit === "week") {
+    truncated.setUTCDate(truncated.getUTCDate() - truncated.getUTCDay());
+  } else if (unit === "month") {
+    truncated.setUTCDate(1);
+  }
+  return truncated;
+}
+
+// Create a repository that keeps every collection in memory, for local development and running offline
+// Options: file (JSON file the data is loaded from and saved to), seed (JSON file loaded when there is no data file yet)
+// Both files use MongoDB Extended JSON, so ObjectIds and dates survive a restart.
+// Like the MongoDB driver, inserts set the _id of the inserted documents.
+function createMemoryRepository({ file, seed } = {}) {
+  // Documents of each collection
+  let data = Object.fromEntries(COLLECTIONS.map((name) => [name, []]));
+
+  // Saves are chained so they are written to the data file in order
+  let saving = Promise.resolve();
+
+  // Load the data file, or the seed file when there is no data yet
+  async function connect() {
+    const source = [file, seed].find(
+      (candidate) => candidate && fs.existsSync(candidate)
+    );
+    if (source) {
+      const loaded = BSON.EJSON.parse(fs.readFileSync(source, "utf8"));
+      data = Object.fromEntries(
+        COLLECTIONS.map((name) => [name, loaded[name] || []])
+      );
+      migrateLegacyPrices(data);
+    }
+    logger.info("Using in-memory storage", { source: source || null });
+  }
+
+  // Wait for the last save to finish
+  async function close() {
+    await saving;
+  }
+
+  // The in-memory storage is always available
+  async function ping() {}
+
+  // Write every collection to the data file, if there is one
+  function save() {
+    if (!file) {
+      return Promise.resolve();
+    }
+    const writing = saving.then(() =>
+      fs.promises.writeFile(file, BSON.EJSON.stringify(data, null, 2))
+    );
+    // A failed write mustn't stop the saves chained after it (each one writes every collection,
+    // so the next one that succeeds catches up), but the caller still learns that its save failed
+    saving = writing.catch((error) => {
+      logger.error("Error writing the data file", { file, error });
+    });
+    return writing;
+  }
+
+  // Insert a document into a collection, rejecting duplicates of its _id or of the given unique key
+  async function insertDocument(name, document, uniqueKey) {
+    if (document._id === undefined) {
+      document._id = new ObjectId();
+    }
+    const key = uniqueKey?.(document);
+    const duplicate = data[name].some(
+      (existing) =>
+        idEquals(existing._id, document._id) ||
+        (key !== undefined && uniqueKey(existing) === key)
+    );
+    if (duplicate) {
+      throw new DuplicateKeyError(`Duplicate key in ${name}`);
+    }
+    data[name].push(clone(document));
+    await save();
+  }
+
+  // Find the stored document with the given _id
+  function findStored(name, id) {
+    return data[name].find((document) => idEquals(document._id, id));
+  }
+
+  // Product filters shared by search and pagination
+  const textScore = (product, terms) =>
+    Object.entries(TEXT_SEARCH_WEIGHTS).reduce(
+      (score, [field, weight]) =>
+        score +
+        weight * tokenize(product[field]).filter((w) => terms.has(w)).length,
+      0
+    );
+  const matchesCategory = (query, product) =>
+    !query.category || product.category === query.category;
+  const matchesPrice = (query, product) =>
+    (query.minPrice === undefined && query.maxPrice === undefined) ||
+    (typeof product.displayPrice === "number" &&
+      (query.minPrice === undefined ||
+        product.displayPrice >= query.minPrice) &&
+      (query.maxPrice === undefined || product.displayPrice <= query.maxPrice));
+
+  // Work out a product's price in the display currency
+  // (null for products priced in a currency without an exchange rate)
+  const displayPrice = (query, product) => {
+    const factor = query.priceFactors[product.currency];
+    return typeof product.price === "number" && factor !== undefined
+      ? Math.round(product.price * factor)
+      : null;
+  };
+
+  // Find the products matching the search text, rating and stock filters,
+  // with their text score and their price in the display currency
+  // (an approximation of the text index: whole words, case-insensitive, without stemming)
+  function matchBaseFilter(query) {
+    const terms = new Set(tokenize(query.text));
+    return data.products
+      .map((product) => ({
+        ...product,
+        ...(query.text && { score: textScore(product, terms) }),
+        displayPrice: displayPrice(query, product),
+      }))
+      .filter(
+        (product) =>
+          (!query.text || product.score > 0) &&
+          (query.minRating === undefined ||
+            (typeof product.star === "number" &&
+              product.star >= query.minRating)) &&
+          (!query.inStock ||
+            typeof product.stock !== "number" || // Untracked stock is always available
+            product.stock > 0)
+      );
+  }
+
+  // Find the stored products of a seller
+  const findSellerProducts = (sellerID) =>
+    data.products.filter((product) => product.sellerID === sellerID);
+
+  // Unique key of a product's SKU, for products that have one
+  const sellerSkuKey = (product) =>
+    product.sku === undefined
+      ? undefined
+      : `${product.sellerID}:${product.sku}`;
+
+  const products = {
+    // Retrieve every product
+    list: async () => clone(data.products),
+
+    // Retrieve a page of every product, in a stable order, with the total count
+    listPage: async ({ page, pageSize }) => ({
+      products: clone(
+        sortDocuments([...data.products], []).slice(
+          (page - 1) * pageSize,
+          page * pageSize
+        )
+      ),
+      totalProducts: data.products.length,
+    }),
+
+    // Search products, counting the matches per category and price bucket
+    async search(query) {
+      const matches = matchBaseFilter(query);
+
+      // Filter, sort and page the products
+      const filtered = matches.filter(
+        (product) =>
+          matchesCategory(query, product) && matchesPrice(query, product)
+      );
+      const pageProducts = sortDocuments(filtered, query.sortFields)
+        .slice((query.page - 1) * query.pageSize, query.page * query.pageSize)
+        .map(({ score, displayPrice, ...product }) => product);
+
+      // Count the products per category, ignoring the category filter
+      const categoryCounts = new Map();
+      matches
+        .filter((product) => matchesPrice(query, product))
+        .forEach((product) => {
+          const category = product.category ?? null;
+          categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+        });
+      const categories = [...categoryCounts]
+        .map(([category, count]) => ({ category, count }))
+        .sort((a, b) => b.count - a.count);
+
+      // Count the products per price bucket, ignoring the price filter
+      // (prices outside the boundaries fall into the last, open-ended bucket, and products
+      // priced in a currency without an exchange rate have no display price and are left out)
+      const { priceBuckets } = query;
+      const bucketCounts = new Map();
+      matches
+        .filter(
+          (product) =>
+            matchesCategory(query, product) && product.displayPrice !== null
+        )
+        .forEach((product) => {
+          const index = priceBuckets.findIndex(
+            (min, i) =>
+              i < priceBuckets.length - 1 &&
+              product.displayPrice >= min &&
+              product.displayPrice < priceBuckets[i + 1]
+          );
+          bucketCounts.set(index, (bucketCounts.get(index) || 0) + 1);
+        });
+      const priceRanges = [...bucketCounts]
+        .sort(([a], [b]) => (a === -1 ? 1 : b === -1 ? -1 : a - b))
+        .map(([index, count]) =>
+          index === -1
+            ? { min: priceBuckets[priceBuckets.length - 1], max: null, count }
+            : {
+                min: priceBuckets[index],
+                max: priceBuckets[index + 1],
+                count,
+              }
+        );
+
+      return {
+        products: clone(pageProducts),
+        total: filtered.length,
+        categories,
+        priceRanges,
+      };
+    },
+
+    // Retrieve the page of products after a cursor position, in a stable order
+    // (missing sort values count as 0, as in the MongoDB backend)
+    async page(query, cursor) {
+      const sortValue = (product, field) =>
+        field === "_id" ? product._id : product[field] ?? 0;
+      const filtered = matchBaseFilter(query).filter(
+        (product) =>
+          matchesCategory(query, product) && matchesPrice(query, product)
+      );
+      const sorted = sortDocuments(filtered, query.sortFields, sortValue);
+
+      // Skip the products up to and including the cursor position
+      const isAfterCursor = (product) => {
+        for (const [index, [field, direction]] of [
+          ...query.sortFields,
+          ["_id", 1],
+        ].entries()) {
+          const position =
+            field === "_id" ? cursor.id : cursor.sortValues[index];
+          const order = compareValues(sortValue(product, field), position);
+          if (order !== 0) {
+            return order * direction > 0;
+          }
+        }
+        return false;
+      };
+      const remaining = cursor ? sorted.filter(isAfterCursor) : sorted;
+
+      // Work out the position of the last product, if there is a next page
+      const pageProducts = remaining.slice(0, query.pageSize);
+      const lastProduct = pageProducts[pageProducts.length - 1];
+      const nextPosition =
+        remaining.length > query.pageSize && lastProduct
+          ? {
+              sortValues: query.sortFields.map(([field]) =>
+                sortValue(lastProduct, field)
+              ),
+              id: lastProduct._id,
+            }
+          : null;
+
+      return {
+        products: clone(
+          pageProducts.map(({ score, displayPrice, ...product }) => product)
+        ),
+        totalProducts: filtered.length,
+        nextPosition,
+      };
+    },
+
+    // Find a product by its ID
+    findById: async (id) => clone(findStored("products", id) ?? null),
+
+    // Find the products with the given IDs
+    findByIds: async (ids) =>
+      clone(
+        data.products.filter((product) =>
+          ids.some((id) => idEquals(product._id, id))
+        )
+      ),
+
+    // Retrieve the products of a seller
+    findBySeller: async (sellerID) => clone(findSellerProducts(sellerID)),
+
+    // Iterate over the products of a seller one at a time, oldest first
+    async *streamBySeller(sellerID) {
+      const sellerProducts = sortDocuments(findSellerProducts(sellerID), []);
+      for (const product of sellerProducts) {
+        yield clone(product);
+      }
+    },
+
+    // Find the products of a seller with the given SKUs
+    findBySkus: async (sellerID, skus) =>
+      clone(
+        findSellerProducts(sellerID).filter((product) =>
+          skus.includes(product.sku)
+        )
+      ),
+
+    // Insert a product, returning its ID (rejecting a seller's duplicate SKUs)
+    async insert(product) {
+      await insertDocument("products", product, sellerSkuKey);
+      return product._id;
+    },
+
+    // Update a seller's product, returning the number of modified products
+    async update(id, sellerID, fields) {
+      const product = findStored("products", id);
+      if (!product || product.sellerID !== sellerID) {
+        return 0;
+      }
+      if (
+        fields.sku !== undefined &&
+        findSellerProducts(sellerID).some(
+          (other) => other.sku === fields.sku && !idEquals(other._id, id)
+        )
+      ) {
+        throw new DuplicateKeyError("Duplicate key in products");
+      }
+      Object.assign(product, clone(fields));
+      await save();
+      return 1;
+    },
+
+    // Delete a product (only if it belongs to the seller, when one is given),
+    // returning the number of deleted products
+    async delete(id, sellerID) {
+      const index = data.products.findIndex(
+        (product) =>
+          idEquals(product._id, id) &&
+          (!sellerID || product.sellerID === sellerID)
+      );
+      if (index === -1) {
+        return 0;
+      }
+      data.products.splice(index, 1);
+      await save();
+      return 1;
+    },
+
+    // Add to or take from a product's stock, never letting it go below zero
+    // Returns the updated product, or null if there isn't enough stock
+    async adjustStock(id, adjustment) {
+      const product = findStored("products", id);
+      if (!product) {
+        return null;
+      }
+      const stock = typeof product.stock === "number" ? product.stock : null;
+      if (adjustment < 0 && (stock === null || stock < -adjustment)) {
+        return null;
+      }
+      product.stock = (stock ?? 0) + adjustment;
+      await save();
+      return clone(product);
+    },
+
+    // Take a quantity from a product's stock only if enough is left
+    // Returns the updated product, or null if the stock wasn't taken
+    async takeStock(id, quantity) {
+      const product = findStored("products", id);
+      if (!product || typeof product.stock !== "number") {
+        return null;
+      }
+      if (product.stock < quantity) {
+        return null;
+      }
+      product.stock -= quantity;
+      await save();
+      return clone(product);
+    },
+
+    // Put a quantity back into a product's stock, if its stock is tracked
+    async returnStock(id, quantity) {
+      const product = findStored("products", id);
+      if (product && typeof product.stock === "number") {
+        product.stock += quantity;
+        await save();
+      }
+    },
+
+    // Add images to a product if it doesn't end up with more than the given number of images
+    // Returns the updated product, or null if it would have too many
+    async addImages(id, images, maxCount) {
+      const product = findStored("products", id);
+      if (
+        !product ||
+        (product.images || []).length + images.length > maxCount
+      ) {
+        return null;
+      }
+      product.images = [...(product.images || []), ...clone(images)];
+      await save();
+      return clone(product);
+    },
+
+    // Store a product's images in a new order if the product still has exactly these images
+    // Returns the updated product, or null if its images were changed in the meantime
+    async reorderImages(id, images) {
+      const product = findStored("products", id);
+      const imageIds = images.map((image) => image.imageId);
+      if (
+        !product ||
+        (product.images || []).length !== images.length ||
+        !product.images.every((image) => imageIds.includes(image.imageId))
+      ) {
+        return null;
+      }
+      product.images = clone(images);
+      await save();
+      return clone(product);
+    },
+
+    // Remove an image from a product
+    // Returns the updated product, or null if the product doesn't have the image
+    async removeImage(id, imageId) {
+      const product = findStored("products", id);
+      if (!product?.images?.some((image) => image.imageId === imageId)) {
+        return null;
+      }
+      product.images = product.images.filter(
+        (image) => image.imageId !== imageId
+      );
+      await save();
+      return clone(product);
+    },
+
+    // Store a product's average rating and review count
+    async setRating(id, { star, starCount }) {
+      const product = findStored("products", id);
+      if (product) {
+        Object.assign(product, { star, starCount });
+        await save();
+      }
+    },
+
+    // Count the products priced in a currency
+    countByCurrency: async (currency) =>
+      data.products.filter((product) => product.currency === currency).length,
+
+    // Retrieve a seller's products whose stock is at or below the threshold, lowest first
+    findLowStock: async (sellerID, threshold) =>
+      clone(
+        sortDocuments(
+          data.products.filter(
+            (product) =>
+              product.sellerID === sellerID &&
+              typeof product.stock === "number" &&
+              product.stock <= threshold
+          ),
+          [["stock", 1]]
+        ).map(({ _id, name, stock }) => ({ _id, name, stock }))
+      ),
+  };
+
+  const orders = {
+    // Insert orders, returning the number of inserted orders
+    async insertMany(newOrders) {
+      for (const order of newOrders) {
+        await insertDocument("orders", order);
+      }
+      return newOrders.length;
+    },
+
+    // Find an order by its order ID
+    findByOrderID: async (orderID) =>
+      clone(data.orders.find((order) => order.orderID === orderID) ?? null),
+
+    // Retrieve the orders of a seller
+    findBySeller: async (sellerID) =>
+      clone(data.orders.filter((order) => order.sellerID === sellerID)),
+
+    // Retrieve every order
+    findAll: async () => clone(data.orders),
+
+    // Move an order to a new status if it still has its current status
+    // Returns the updated order, or null if its status was changed in the meantime
+    async transitionStatus(id, currentStatus, nextStatus, historyEntry) {
+      const order = findStored("orders", id);
+      if (!order || (order.status ?? null) !== (currentStatus ?? null)) {
+        return null;
+      }
+      order.status = nextStatus;
+      order.statusHistory = [...(order.statusHistory || []), historyEntry];
+      await save();
+      return clone(order);
+    },
+
+    // Set the payment status of the orders linked to a payment intent,
+    // returning the number of modified orders
+    async setPaymentStatus(paymentIntentId, paymentStatus) {
+      const linkedOrders = data.orders.filter(
+        (order) => order.paymentIntentId === paymentIntentId
+      );
+      linkedOrders.forEach((order) => {
+        Object.assign(order, { paymentStatus, paymentUpdatedAt: new Date() });
+      });
+      await save();
+      return linkedOrders.length;
+    },
+
+    // Retrieve the orders linked to a payment intent, only those with one of the given statuses if any are given
+    findByPaymentIntent: async (paymentIntentId, statuses) =>
+      clone(
+        data.orders.filter(
+          (order) =>
+            order.paymentIntentId === paymentIntentId &&
+            (!statuses || statuses.includes(order.status ?? null))
+        )
+      ),
+
+    // Record a refund on an order if the order's refunds stay within the given total
+    // Returns the updated order, or null if the refund would go over it
+    async addRefund(id, refund, maxRefundedAmount) {
+      const order = findStored("orders", id);
+      if (
+        !order ||
+        (order.refundedAmount || 0) + refund.amount > maxRefundedAmount
+      ) {
+        return null;
+      }
+      order.refunds = [...(order.refunds || []), refund];
+      order.refundedAmount = (order.refundedAmount || 0) + refund.amount;
+      await save();
+      return clone(order);
+    },
+
+    // Update a refund recorded on an order, returning the updated order
+    async updateRefund(id, refundId, fields) {
+      const order = findStored("orders", id);
+      const refund = order?.refunds?.find(
+        (candidate) => candidate.refundId === refundId
+      );
+      if (!refund) {
+        return null;
+      }
+      Object.assign(refund, fields);
+      await save();
+      return clone(order);
+    },
+
+    // Remove a refund recorded on an order, such as one the payment provider rejected
+    async removeRefund(id, refundId) {
+      const order = findStored("orders", id);
+      const refund = order?.refunds?.find(
+        (candidate) => candidate.refundId === refundId
+      );
+      if (refund) {
+        order.refunds = order.refunds.filter(
+          (candidate) => candidate !== refund
+        );
+        order.refundedAmount -= refund.amount;
+        await save();
+      }
+    },
+
+    // Replace an order's cancellation request if the current one still has the expected status
+    // (null when the order has no cancellation request)
+    // Returns the updated order, or null if the request was changed in the meantime
+    async setCancelRequest(id, expectedStatus, cancelRequest) {
+      const order = findStored("orders", id);
+      if (!order || (order.cancelRequest?.status ?? null) !== expectedStatus) {
+        return null;
+      }
+      order.cancelRequest = cancelRequest;
+      await save();
+      return clone(order);
+    },
+
+    // Check whether a buyer has an order for a product with one of the given statuses
+    hasPurchase: async (productId, buyerID, statuses) =>
+      data.orders.some(
+        (order) =>
+          idEquals(order.productId, productId) &&
+          order.buyerID === buyerID &&
+          statuses.includes(order.status)
+      ),
+
+    // Retrieve a page of a buyer's purchases, grouping the line items of each checkout
+    // (older orders without a checkout are grouped by payment intent, or stand alone)
+    async findPurchases(buyerID, { page, pageSize }) {
+      const groups = new Map();
+      sortDocuments(
+        data.orders.filter((order) => order.buyerID === buyerID),
+        [["createdAt", 1]]
+      ).forEach((order) => {
+        const key = order.checkoutID ?? order.paymentIntentId ?? order.orderID;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            checkoutID: key,
+            placedAt: order.createdAt,
+            paymentIntentId: order.paymentIntentId,
+            currency: order.currency,
+            itemCount: 0,
+            subtotal: 0,
+            items: [],
+          });
+        }
+        const purchase = groups.get(key);
+        purchase.itemCount += order.quantity || 0;
+        purchase.subtotal += (order.price || 0) * (order.quantity || 0);
+        purchase.items.push(order);
+      });
+
+      // Sort the purchases newest first and take the requested page
+      const purchases = [...groups.values()].sort(
+        (a, b) =>
+          compareValues(b.placedAt, a.placedAt) ||
+          compareValues(b.checkoutID, a.checkoutID)
+      );
+      return {
+        purchases: clone(
+          purchases.slice((page - 1) * pageSize, page * pageSize)
+        ),
+        totalPurchases: purchases.length,
+      };
+    },
+
+    // Aggregate a seller's orders with the given statuses in a date range into sales figures
+    // (refunded orders count towards the refund rate but not towards revenue, partially refunded ones in part)
+    async salesAnalytics(sellerID, { from, to, interval, statuses }) {
+      const sold = data.orders.filter(
+        (order) =>
+          order.sellerID === sellerID &&
+          statuses.includes(order.status) &&
+          order.createdAt >= from &&
+          order.createdAt <= to
+      );
+      const kept = sold.filter((order) => order.status !== "refunded");
+      // Share of a line item that has been refunded, from 0 to 1
+      const refundedShare = (order) => {
+        if (order.status === "refunded") {
+          return 1;
+        }
+        const paid = paidAmount(order);
+        return paid > 0 ? Math.min(1, (order.refundedAmount || 0) / paid) : 0;
+      };
+      // Revenue of a line item, in the base currency so orders charged in different currencies add up
+      // (refunds are in the charged currency, so the refunded share of the line is left out instead)
+      const lineRevenue = (order) =>
+        Math.round(
+          (order.basePrice || 0) *
+            (order.quantity || 0) *
+            (1 - refundedShare(order))
+        );
+
+      // Revenue and units per day, week or month
+      const periods = new Map();
+      kept.forEach((order) => {
+        const period = truncateDate(order.createdAt, interval);
+        const entry = periods.get(period.getTime()) || {
+          period,
+          revenue: 0,
+          units: 0,
+          orders: 0,
+        };
+        entry.revenue += lineRevenue(order);
+        entry.units += order.quantity || 0;
+        entry.orders += 1;
+        periods.set(period.getTime(), entry);
+      });
+
+      // Top-selling products by revenue, with their current name
+      const productSales = new Map();
+      kept.forEach((order) => {
+        const key = String(order.productId);
+        const entry = productSales.get(key) || {
+          productId: order.productId,
+          revenue: 0,
+          units: 0,
+        };
+        entry.revenue += lineRevenue(order);
+        entry.units += order.quantity || 0;
+        productSales.set(key, entry);
+      });
+      const topProducts = [...productSales.values()]
+        .sort((a, b) => b.revenue - a.revenue || b.units - a.units)
+        .slice(0, 5)
+        .map((entry) => ({
+          ...entry,
+          name: findStored("products", entry.productId)?.name,
+        }));
+
+      return clone({
+        series: [...periods.values()].sort((a, b) => a.period - b.period),
+        topProducts,
+        totals: {
+          revenue: kept.reduce((sum, order) => sum + lineRevenue(order), 0),
+          units: kept.reduce((sum, order) => sum + (order.quantity || 0), 0),
+          // Count each checkout as one order for the average order value
+          orders: new Set(
+            kept.map((order) => order.checkoutID ?? order.orderID)
+          ).size,
+        },
+        paidCount: sold.length,
+        // A partially refunded order counts as the refunded share of an order
+        refundedCount: sold.reduce(
+          (sum, order) => sum + refundedShare(order),
+          0
+        ),
+      });
+    },
+  };
+
+  const reviews = {
+    // Retrieve a random sample of the reviews that aren't hidden
+    async sample(size) {
+      const visible = data.reviews.filter((review) => review.hidden !== true);
+      for (let i = visible.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [visible[i], visible[j]] = [visible[j], visible[i]];
+      }
+      return clone(visible.slice(0, size));
+    },
+
+    // Insert a review, allowing a single review per user and product
+    insert: (review) =>
+      insertDocument("reviews", review, (document) =>
+        document.reviewerID !== undefined
+          ? `${document.productId}:${document.reviewerID}`
+          : undefined
+      ),
+
+    // Work out the average rating and the number of a product's visible reviews
+    async ratingStats(productId) {
+      const ratings = data.reviews
+        .filter(
+          (review) =>
+            idEquals(review.productId, productId) && review.hidden !== true
+        )
+        .map((review) => review.rating);
+      if (ratings.length === 0) {
+        return null;
+      }
+      return {
+        average:
+          ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length,
+        count: ratings.length,
+      };
+    },
+
+    // Retrieve a page of a product's visible reviews, newest first
+    async findByProduct(productId, { page, pageSize }) {
+      const visible = data.reviews.filter(
+        (review) =>
+          idEquals(review.productId, productId) && review.hidden !== true
+      );
+      const sorted = visible.sort(
+        (a, b) =>
+          compareValues(b.createdAt, a.createdAt) || compareValues(b._id, a._id)
+      );
+      return {
+        reviews: clone(sorted.slice((page - 1) * pageSize, page * pageSize)),
+        totalReviews: visible.length,
+      };
+    },
+
+    // Mark a review as hidden, returning the review or null if it doesn't exist
+    async hide(id, hiddenBy) {
+      const review = findStored("reviews", id);
+      if (!review) {
+        return null;
+      }
+      const before = clone(review);
+      Object.assign(review, { hidden: true, hiddenBy, hiddenAt: new Date() });
+      await save();
+      return before;
+    },
+  };
+
+  const webhookEvents = {
+    // Record an event, rejecting events that were already recorded
+    insert: (event) => insertDocument("webhookEvents", event),
+
+    // Forget an event so it is processed again when it is redelivered
+    async remove(id) {
+      data.webhookEvents = data.webhookEvents.filter(
+        (event) => !idEquals(event._id, id)
+      );
+      await save();
+    },
+  };
+
+  const stockAdjustments = {
+    // Record a change to a product's stock
+    insert: (adjustment) => insertDocument("stockAdjustments", adjustment),
+  };
+
+  const coupons = {
+    // Find a coupon by its (upper case) code
+    findByCode: async (code) =>
+      clone(data.coupons.find((coupon) => coupon.code === code) ?? null),
+
+    // Insert a coupon, rejecting duplicate codes
+    insert: (coupon) =>
+      insertDocument("coupons", coupon, (document) => document.code),
+
+    // Retrieve the coupons of a seller, or every coupon when no seller is given, newest first
+    list: async (sellerID) =>
+      clone(
+        sortDocuments(
+          data.coupons.filter(
+            (coupon) => !sellerID || coupon.sellerID === sellerID
+          ),
+          [["createdAt", -1]]
+        )
+      ),
+
+    // Update a coupon, returning the updated coupon
+    async update(id, fields) {
+      const coupon = findStored("coupons", id);
+      if (!coupon) {
+        return null;
+      }
+      Object.assign(coupon, clone(fields));
+      await save();
+      return clone(coupon);
+    },
+
+    // Delete a coupon
+    async remove(id) {
+      data.coupons = data.coupons.filter((coupon) => !idEquals(coupon._id, id));
+      await save();
+    },
+
+    // Count a redemption towards a coupon's global usage limit
+    async incrementRedemptions(id) {
+      const coupon = findStored("coupons", id);
+      if (coupon) {
+        coupon.redemptionCount = (coupon.redemptionCount || 0) + 1;
+        await save();
+      }
+    },
+  };
+
+  const couponRedemptions = {
+    // Count how many times a user has redeemed a coupon
+    countForUser: async (couponId, userID) =>
+      data.couponRedemptions.filter(
+        (redemption) =>
+          idEquals(redemption.couponId, couponId) &&
+          redemption.userID === userID
+      ).length,
+
+    // Record a redemption, counting each payment once
+    insert: (redemption) =>
+      insertDocument(
+        "couponRedemptions",
+        redemption,
+        (document) => document.paymentIntentId
+      ),
+  };
+
+  const idempotencyKeys = {
+    // Record a new idempotency key, dropping expired keys first
+    // (a key that is still live fails with a duplicate key)
+    reserve(record) {
+      const now = new Date();
+      data.idempotencyKeys = data.idempotencyKeys.filter(
+        (stored) => stored.expiresAt > now
+      );
+      return insertDocument("idempotencyKeys", record);
+    },
+
+    // Find an idempotency key that hasn't expired
+    find: async (key) => {
+      const record = findStored("idempotencyKeys", key);
+      return record && record.expiresAt > new Date() ? clone(record) : null;
+    },
+
+    // Store the response sent for an idempotency key
+    async complete(key, response) {
+      const record = findStored("idempotencyKeys", key);
+      if (record) {
+        Object.assign(record, { response, completedAt: new Date() });
+        await save();
+      }
+    },
+
+    // Forget an idempotency key, so the request can be retried
+    async remove(key) {
+      data.idempotencyKeys = data.idempotencyKeys.filter(
+        (record) => !idEquals(record._id, key)
+      );
+      await save();
+    },
+  };
+
+  const exchangeRates = {
+    // Retrieve every exchange rate, by currency
+    list: async () => clone(sortDocuments([...data.exchangeRates], [])),
+
+    // Set the exchange rate of a currency, returning the stored rate
+    async set(currency, fields) {
+      let exchangeRate = findStored("exchangeRates", currency);
+      if (!exchangeRate) {
+        exchangeRate = { _id: currency };
+        data.exchangeRates.push(exchangeRate);
+      }
+      Object.assign(exchangeRate, clone(fields));
+      await save();
+      return clone(exchangeRate);
+    },
+
+    // Delete the exchange rate of a currency, returning the number of deleted rates
+    async remove(currency) {
+      const count = data.exchangeRates.length;
+      data.exchangeRates = data.exchangeRates.filter(
+        (exchangeRate) => exchangeRate._id !== currency
+      );
+      await save();
+      return count - data.exchangeRates.length;
+    },
+  };
+
+  const paymentIntents = {
+    // Record a priced checkout under its payment intent ID
+    insert: (paymentIntent) => insertDocument("paymentIntents", paymentIntent),
+
+    // Find a payment intent by its ID
+    findById: async (id) => clone(findStored("paymentIntents", id) ?? null),
+
+    // Mark a payment intent's orders as created, returning the payment intent,
+    // or null if it doesn't exist or its orders have already been created
+    async claim(id) {
+      const paymentIntent = findStored("paymentIntents", id);
+      if (!paymentIntent || paymentIntent.ordersCreatedAt !== undefined) {
+        return null;
+      }
+      paymentIntent.ordersCreatedAt = new Date();
+      await save();
+      return clone(paymentIntent);
+    },
+
+    // Allow a payment intent's orders to be created again, when creating them failed
+    async release(id) {
+      const paymentIntent = findStored("paymentIntents", id);
+      if (paymentIntent) {
+        delete paymentIntent.ordersCreatedAt;
+        await save();
+      }
+    },
+  };
+
+  // The audit log is append-only: entries are never updated or deleted
+  const auditLog = {
+    // Record a change
+    insert: (entry) => insertDocument("auditLog", entry),
+
+    // Retrieve a page of the entries matching the filters, newest first
+    async find(
+      { actorID, entityType, entityId, from, to },
+      { page, pageSize }
+    ) {
+      const matching = data.auditLog.filter(
+        (entry) =>
+          (actorID === undefined || entry.actorID === actorID) &&
+          (entityType === undefined || entry.entityType === entityType) &&
+          (entityId === undefined || entry.entityId === entityId) &&
+          (!from || entry.createdAt >= from) &&
+          (!to || entry.createdAt <= to)
+      );
+      const sorted = matching.sort(
+        (a, b) =>
+          compareValues(b.createdAt, a.createdAt) || compareValues(b._id, a._id)
+      );
+      return {
+        entries: clone(sorted.slice((page - 1) * pageSize, page * pageSize)),
+        totalEntries: matching.length,
+      };
+    },
+  };
+
+  return {
+    connect,
+    close,
+    ping,
+    products,
+    orders,
+    reviews,
+    webhookEvents,
+    stockAdjustments,
+    coupons,
+    couponRedemptions,
+    idempotencyKeys,
+    exchangeRates,
+    auditLog,
+    paymentIntents,
+  };
+}
+
+module.exports = { createMemoryRepository };
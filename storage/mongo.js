@@ -0,0 +1,1228 @@
+// Third-party packages
+const { MongoClient, ServerApiVersion } = require("mongodb"); // MongoDB driver and utilities for database operations
+
+// Local modules
+const { CURRENCIES, BASE_CURRENCY } = require("../lib/currency");
+const { logger } = require("../lib/logger");
+const { DuplicateKeyError } = require("./errors");
+
+// Collection names used when no name is configured
+const DEFAULT_COLLECTION_NAMES = {
+  products: "products",
+  orders: "orders",
+  reviews: "reviews",
+  webhookEvents: "webhookEvents",
+  stockAdjustments: "stockAdjustments",
+  coupons: "coupons",
+  couponRedemptions: "couponRedemptions",
+  idempotencyKeys: "idempotencyKeys",
+  exchangeRates: "exchangeRates",
+  auditLog: "auditLog",
+  paymentIntents: "paymentIntents",
+};
+
+// Run an insert, turning MongoDB's duplicate key error into the storage layer's error
+async function insertUnique(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new DuplicateKeyError(error.message);
+    }
+    throw error;
+  }
+}
+
+// Build the MongoDB filters of a parsed product query
+// (category and price are kept apart so each search facet can ignore its own filter)
+function buildProductFilters(query) {
+  // Filters matching the search text, rating and stock
+  // (products without a stock count aren't tracked and can always be ordered, so they count as in stock)
+  const baseFilter = {
+    ...(query.text && { $text: { $search: query.text } }),
+    ...(query.minRating !== undefined && { star: { $gte: query.minRating } }),
+    ...(query.inStock && {
+      $or: [{ stock: { $gt: 0 } }, { stock: { $not: { $type: "number" } } }],
+    }),
+  };
+
+  // Filters on category and price
+  const categoryFilter = query.category ? { category: query.category } : {};
+  const priceFilter =
+    query.minPrice !== undefined || query.maxPrice !== undefined
+      ? {
+          displayPrice: {
+            ...(query.minPrice !== undefined && { $gte: query.minPrice }),
+            ...(query.maxPrice !== undefined && { $lte: query.maxPrice }),
+          },
+        }
+      : {};
+
+  return { baseFilter, categoryFilter, priceFilter };
+}
+
+// Build the stage adding each product's price in the display currency as "displayPrice"
+// (null for products priced in a currency without an exchange rate)
+function buildDisplayPriceStage({ priceFactors }) {
+  return {
+    $addFields: {
+      displayPrice: {
+        $round: [
+          {
+            $multiply: [
+              "$price",
+              {
+                $switch: {
+                  branches: Object.entries(priceFactors).map(
+                    ([currency, factor]) => ({
+                      case: { $eq: ["$currency", currency] },
+                      then: factor,
+                    })
+                  ),
+                  default: null,
+                },
+              },
+            ],
+          },
+          0,
+        ],
+      },
+    },
+  };
+}
+
+// Convert the prices of documents saved before prices were stored in minor units with a currency
+// (their prices are in major units of the base currency)
+async function migrateLegacyPrices({ products, orders, coupons }) {
+  const inMinorUnits = (field) => ({
+    $cond: [
+      { $isNumber: `$${field}` },
+      {
+        $round: [
+          { $multiply: [`$${field}`, 10 ** CURRENCIES[BASE_CURRENCY]] },
+          0,
+        ],
+      },
+      "$$REMOVE",
+    ],
+  });
+  const legacy = { currency: { $exists: false } };
+
+  await products.updateMany(legacy, [
+    {
+      $set: {
+        price: inMinorUnits("price"),
+        shipping: inMinorUnits("shipping"),
+        currency: BASE_CURRENCY,
+      },
+    },
+  ]);
+  await orders.updateMany(legacy, [
+    {
+      $set: {
+        price: inMinorUnits("price"),
+        shipping: inMinorUnits("shipping"),
+        currency: BASE_CURRENCY,
+        exchangeRate: 1,
+      },
+    },
+    {
+      $set: {
+        basePrice: "$price",
+        amount: {
+          $multiply: [
+            {
+              $add: [{ $ifNull: ["$price", 0] }, { $ifNull: ["$shipping", 0] }],
+            },
+            { $ifNull: ["$quantity", 0] },
+          ],
+        },
+      },
+    },
+  ]);
+  await coupons.updateMany(legacy, [
+    {
+      $set: {
+        value: {
+          $cond: [{ $eq: ["$type", "fixed"] }, inMinorUnits("value"), "$value"],
+        },
+        minCartValue: inMinorUnits("minCartValue"),
+        currency: BASE_CURRENCY,
+      },
+    },
+  ]);
+}
+
+// Build the filter matching the products that come after the cursor in the sort order
+function buildCursorFilter(sortFields, { sortValues, id }) {
+  // For each sort field, match products equal on the previous fields and past the cursor on this one
+  const conditions = [...sortFields, ["_id", 1]].map(
+    ([field, direction], index) => {
+      const equalFields = Object.fromEntries(
+        sortFields
+          .slice(0, index)
+          .map(([equalField], equalIndex) => [
+            `sortKeys.${equalField}`,
+            sortValues[equalIndex],
+          ])
+      );
+      const key = field === "_id" ? "_id" : `sortKeys.${field}`;
+      const value = field === "_id" ? id : sortValues[index];
+      return {
+        ...equalFields,
+        [key]: { [direction === 1 ? "$gt" : "$lt"]: value },
+      };
+    }
+  );
+
+  return { $or: conditions };
+}
+
+// Create a repository backed by MongoDB
+function createMongoRepository({ uri, databaseName, collectionNames = {} }) {
+  // Stable API v1 without strict mode, since product search relies on the text index
+  // and $text queries aren't part of the strict API
+  const client = new MongoClient(uri, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: false,
+      deprecationErrors: true,
+    },
+  });
+
+  // MongoDB collection references, set once connected
+  let productsCollection,
+    ordersCollection,
+    reviewsCollection,
+    webhookEventsCollection,
+    stockAdjustmentsCollection,
+    couponsCollection,
+    couponRedemptionsCollection,
+    idempotencyKeysCollection,
+    exchangeRatesCollection,
+    auditLogCollection,
+    paymentIntentsCollection;
+
+  // Connect to MongoDB
+  async function connect() {
+    // Task list:
+    // • Establish connection to MongoDB
+    // • Log successful connection
+    // • Initialize database and collection references
+    // • Convert prices saved before they were stored in minor units
+    // • Set up database indexes
+
+    // Attempt to connect to the MongoDB server
+    await client.connect();
+
+    // Log a success message if the connection is established
+    logger.info("Connected successfully to MongoDB", { databaseName });
+
+    // Initialize the database and collection references
+    const database = client.db(databaseName);
+    const names = { ...DEFAULT_COLLECTION_NAMES, ...collectionNames };
+    productsCollection = database.collection(names.products);
+    ordersCollection = database.collection(names.orders);
+    reviewsCollection = database.collection(names.reviews);
+    webhookEventsCollection = database.collection(names.webhookEvents);
+    stockAdjustmentsCollection = database.collection(names.stockAdjustments);
+    couponsCollection = database.collection(names.coupons);
+    couponRedemptionsCollection = database.collection(names.couponRedemptions);
+    idempotencyKeysCollection = database.collection(names.idempotencyKeys);
+    exchangeRatesCollection = database.collection(names.exchangeRates);
+    auditLogCollection = database.collection(names.auditLog);
+    paymentIntentsCollection = database.collection(names.paymentIntents);
+
+    // Convert prices saved before they were stored in minor units with a currency
+    await migrateLegacyPrices({
+      products: productsCollection,
+      orders: ordersCollection,
+      coupons: couponsCollection,
+    });
+
+    // Create the text index used by product search
+    await productsCollection.createIndex(
+      { name: "text", category: "text", seller: "text" },
+      { name: "product_text_search", weights: { name: 10, category: 3 } }
+    );
+
+    // Index the fields the seller, order and review lookups filter on
+    await productsCollection.createIndex(
+      { sellerID: 1 },
+      { name: "products_by_seller" }
+    );
+
+    // Keep each seller's SKUs unique, so imports can match products by SKU
+    await productsCollection.createIndex(
+      { sellerID: 1, sku: 1 },
+      {
+        name: "unique_seller_sku",
+        unique: true,
+        partialFilterExpression: { sku: { $exists: true } },
+      }
+    );
+    await ordersCollection.createIndex(
+      { sellerID: 1 },
+      { name: "orders_by_seller" }
+    );
+    await ordersCollection.createIndex(
+      { orderID: 1 },
+      { name: "orders_by_order_id" }
+    );
+    await reviewsCollection.createIndex(
+      { productId: 1, createdAt: -1 },
+      { name: "reviews_by_product" }
+    );
+
+    // Allow a single review per user and product
+    await reviewsCollection.createIndex(
+      { productId: 1, reviewerID: 1 },
+      {
+        name: "one_review_per_user",
+        unique: true,
+        partialFilterExpression: { reviewerID: { $exists: true } },
+      }
+    );
+
+    // Keep coupon codes unique and count each payment's coupon redemption once
+    await couponsCollection.createIndex(
+      { code: 1 },
+      { name: "unique_coupon_code", unique: true }
+    );
+    await couponRedemptionsCollection.createIndex(
+      { paymentIntentId: 1 },
+      { name: "one_redemption_per_payment", unique: true }
+    );
+
+    // Delete idempotency keys once they expire
+    await idempotencyKeysCollection.createIndex(
+      { expiresAt: 1 },
+      { name: "expire_idempotency_keys", expireAfterSeconds: 0 }
+    );
+
+    // Index the fields the audit log is searched by, newest entries first
+    await auditLogCollection.createIndex(
+      { createdAt: -1 },
+      { name: "audit_log_by_date" }
+    );
+    await auditLogCollection.createIndex(
+      { actorID: 1, createdAt: -1 },
+      { name: "audit_log_by_actor" }
+    );
+    await auditLogCollection.createIndex(
+      { entityType: 1, entityId: 1, createdAt: -1 },
+      { name: "audit_log_by_entity" }
+    );
+  }
+
+  // Close the connection to MongoDB
+  async function close() {
+    await client.close();
+  }
+
+  // Check that the MongoDB server is reachable
+  async function ping() {
+    await client.db(databaseName).command({ ping: 1 });
+  }
+
+  // Query the products of a seller
+  const findSellerProducts = (sellerID) =>
+    productsCollection.find({ sellerID });
+
+  const products = {
+    // Retrieve every product
+    list: () => productsCollection.find({}).toArray(),
+
+    // Retrieve a page of every product, in a stable order, with the total count
+    async listPage({ page, pageSize }) {
+      const [pageProducts, totalProducts] = await Promise.all([
+        productsCollection
+          .find({})
+          .sort({ _id: 1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .toArray(),
+        productsCollection.countDocuments({}),
+      ]);
+      return { products: pageProducts, totalProducts };
+    },
+
+    // Search products, counting the matches per category and price bucket
+    async search(query) {
+      const { baseFilter, categoryFilter, priceFilter } =
+        buildProductFilters(query);
+
+      // Search, count and build the facets in a single aggregation
+      // (each facet ignores its own filter so the sidebar can show the alternatives)
+      const [result] = await productsCollection
+        .aggregate([
+          { $match: baseFilter },
+          // Keep the text search score so results can be sorted by relevance
+          ...(query.text
+            ? [{ $addFields: { score: { $meta: "textScore" } } }]
+            : []),
+          // Convert the prices into the display currency for the price filter, sort and facet
+          buildDisplayPriceStage(query),
+          {
+            $facet: {
+              products: [
+                { $match: { ...categoryFilter, ...priceFilter } },
+                {
+                  $sort: Object.fromEntries([...query.sortFields, ["_id", 1]]),
+                },
+                { $skip: (query.page - 1) * query.pageSize },
+                { $limit: query.pageSize },
+                { $project: { score: 0, displayPrice: 0 } },
+              ],
+              total: [
+                { $match: { ...categoryFilter, ...priceFilter } },
+                { $count: "count" },
+              ],
+              categories: [
+                { $match: priceFilter },
+                { $sortByCount: "$category" },
+              ],
+              // Products priced in a currency without an exchange rate have no display price
+              // and are left out, rather than counted as the open-ended top range
+              priceRanges: [
+                { $match: { ...categoryFilter, displayPrice: { $ne: null } } },
+                {
+                  $bucket: {
+                    groupBy: "$displayPrice",
+                    boundaries: query.priceBuckets,
+                    default: "other",
+                    output: { count: { $sum: 1 } },
+                  },
+                },
+              ],
+            },
+          },
+        ])
+        .toArray();
+
+      // Shape the facet counts for the storefront
+      return {
+        products: result.products,
+        total: result.total[0]?.count || 0,
+        categories: result.categories.map(({ _id, count }) => ({
+          category: _id,
+          count,
+        })),
+        priceRanges: result.priceRanges.map(({ _id, count }) => {
+          // Prices above the last boundary fall into the "other" bucket
+          const { priceBuckets } = query;
+          if (_id === "other") {
+            return {
+              min: priceBuckets[priceBuckets.length - 1],
+              max: null,
+              count,
+            };
+          }
+          const index = priceBuckets.indexOf(_id);
+          return { min: _id, max: priceBuckets[index + 1], count };
+        }),
+      };
+    },
+
+    // Retrieve the page of products after a cursor position, in a stable order
+    async page(query, cursor) {
+      const { baseFilter, categoryFilter, priceFilter } =
+        buildProductFilters(query);
+
+      // Match the filters, converting the prices into the display currency for the price filter and sort
+      const matchStages = [
+        { $match: { ...baseFilter, ...categoryFilter } },
+        // Keep the text search score so results can be sorted by relevance
+        ...(query.text
+          ? [{ $addFields: { score: { $meta: "textScore" } } }]
+          : []),
+        buildDisplayPriceStage(query),
+        { $match: priceFilter },
+      ];
+
+      // Count the products matching the filters
+      const [count] = await productsCollection
+        .aggregate([...matchStages, { $count: "count" }])
+        .toArray();
+      const totalProducts = count?.count || 0;
+
+      // Retrieve the next page of products, sorted on the sort fields (missing values count as 0)
+      // with _id as a tie-breaker so every product appears exactly once
+      const products = await productsCollection
+        .aggregate([
+          ...matchStages,
+          ...(query.sortFields.length > 0
+            ? [
+                {
+                  $addFields: {
+                    sortKeys: Object.fromEntries(
+                      query.sortFields.map(([field]) => [
+                        field,
+                        { $ifNull: [`$${field}`, 0] },
+                      ])
+                    ),
+                  },
+                },
+              ]
+            : []),
+          ...(cursor
+            ? [{ $match: buildCursorFilter(query.sortFields, cursor) }]
+            : []),
+          {
+            $sort: Object.fromEntries([
+              ...query.sortFields.map(([field, direction]) => [
+                `sortKeys.${field}`,
+                direction,
+              ]),
+              ["_id", 1],
+            ]),
+          },
+          // Fetch one extra product to know whether there is a next page
+          { $limit: query.pageSize + 1 },
+        ])
+        .toArray();
+
+      // Work out the position of the last product, if there is a next page
+      const pageProducts = products.slice(0, query.pageSize);
+      const lastProduct = pageProducts[pageProducts.length - 1];
+      const nextPosition =
+        products.length > query.pageSize && lastProduct
+          ? {
+              sortValues: query.sortFields.map(
+                ([field]) => lastProduct.sortKeys[field]
+              ),
+              id: lastProduct._id,
+            }
+          : null;
+
+      return {
+        products: pageProducts.map(
+          ({ sortKeys, score, displayPrice, ...product }) => product
+        ),
+        totalProducts,
+        nextPosition,
+      };
+    },
+
+    // Find a product by its ID
+    findById: (id) => productsCollection.findOne({ _id: id }),
+
+    // Find the products with the given IDs
+    findByIds: (ids) =>
+      productsCollection.find({ _id: { $in: ids } }).toArray(),
+
+    // Retrieve the products of a seller
+    findBySeller: (sellerID) => findSellerProducts(sellerID).toArray(),
+
+    // Iterate over the products of a seller one at a time, oldest first, without loading them all into memory
+    streamBySeller: (sellerID) => findSellerProducts(sellerID).sort({ _id: 1 }),
+
+    // Find the products of a seller with the given SKUs
+    findBySkus: (sellerID, skus) =>
+      productsCollection.find({ sellerID, sku: { $in: skus } }).toArray(),
+
+    // Insert a product, returning its ID (the unique index rejects a seller's duplicate SKUs)
+    async insert(product) {
+      const result = await insertUnique(() =>
+        productsCollection.insertOne(product)
+      );
+      return result.insertedId;
+    },
+
+    // Update a seller's product, returning the number of modified products
+    async update(id, sellerID, fields) {
+      const result = await insertUnique(() =>
+        productsCollection.updateOne({ _id: id, sellerID }, { $set: fields })
+      );
+      return result.modifiedCount;
+    },
+
+    // Delete a product (only if it belongs to the seller, when one is given),
+    // returning the number of deleted products
+    async delete(id, sellerID) {
+      const result = await productsCollection.deleteOne({
+        _id: id,
+        ...(sellerID && { sellerID }),
+      });
+      return result.deletedCount;
+    },
+
+    // Add to or take from a product's stock, never letting it go below zero
+    // Returns the updated product, or null if there isn't enough stock
+    adjustStock: (id, adjustment) =>
+      productsCollection.findOneAndUpdate(
+        { _id: id, ...(adjustment < 0 && { stock: { $gte: -adjustment } }) },
+        { $inc: { stock: adjustment } },
+        { returnDocument: "after" }
+      ),
+
+    // Take a quantity from a product's stock only if enough is left, so concurrent orders can't oversell
+    // Returns the updated product, or null if the stock wasn't taken
+    takeStock: (id, quantity) =>
+      productsCollection.findOneAndUpdate(
+        { _id: id, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity } },
+        { returnDocument: "after" }
+      ),
+
+    // Put a quantity back into a product's stock, if its stock is tracked
+    async returnStock(id, quantity) {
+      await productsCollection.updateOne(
+        { _id: id, stock: { $type: "number" } },
+        { $inc: { stock: quantity } }
+      );
+    },
+
+    // Add images to a product if it doesn't end up with more than the given number of images
+    // Returns the updated product, or null if it would have too many
+    addImages: (id, images, maxCount) =>
+      productsCollection.findOneAndUpdate(
+        {
+          _id: id,
+          $expr: {
+            $lte: [
+              { $size: { $ifNull: ["$images", []] } },
+              maxCount - images.length,
+            ],
+          },
+        },
+        { $push: { images: { $each: images } } },
+        { returnDocument: "after" }
+      ),
+
+    // Store a product's images in a new order if the product still has exactly these images
+    // Returns the updated product, or null if its images were changed in the meantime
+    reorderImages: (id, images) =>
+      productsCollection.findOneAndUpdate(
+        {
+          _id: id,
+          images: { $size: images.length },
+          "images.imageId": { $all: images.map((image) => image.imageId) },
+        },
+        { $set: { images } },
+        { returnDocument: "after" }
+      ),
+
+    // Remove an image from a product
+    // Returns the updated product, or null if the product doesn't have the image
+    removeImage: (id, imageId) =>
+      productsCollection.findOneAndUpdate(
+        { _id: id, "images.imageId": imageId },
+        { $pull: { images: { imageId } } },
+        { returnDocument: "after" }
+      ),
+
+    // Store a product's average rating and review count
+    async setRating(id, { star, starCount }) {
+      await productsCollection.updateOne(
+        { _id: id },
+        { $set: { star, starCount } }
+      );
+    },
+
+    // Count the products priced in a currency
+    countByCurrency: (currency) =>
+      productsCollection.countDocuments({ currency }),
+
+    // Retrieve a seller's products whose stock is at or below the threshold, lowest first
+    findLowStock: (sellerID, threshold) =>
+      productsCollection
+        .find({ sellerID, stock: { $lte: threshold } })
+        .project({ name: 1, stock: 1 })
+        .sort({ stock: 1 })
+        .toArray(),
+  };
+
+  const orders = {
+    // Insert orders, returning the number of inserted orders
+    async insertMany(newOrders) {
+      const result = await ordersCollection.insertMany(newOrders);
+      return result.insertedCount;
+    },
+
+    // Find an order by its order ID
+    findByOrderID: (orderID) => ordersCollection.findOne({ orderID }),
+
+    // Retrieve the orders of a seller
+    findBySeller: (sellerID) => ordersCollection.find({ sellerID }).toArray(),
+
+    // Retrieve every order
+    findAll: () => ordersCollection.find({}).toArray(),
+
+    // Move an order to a new status, matching on its current status so concurrent changes can't be overwritten
+    // Returns the updated order, or null if its status was changed in the meantime
+    transitionStatus: (id, currentStatus, nextStatus, historyEntry) =>
+      ordersCollection.findOneAndUpdate(
+        { _id: id, status: currentStatus ?? null },
+        {
+          $set: { status: nextStatus },
+          $push: { statusHistory: historyEntry },
+        },
+        { returnDocument: "after" }
+      ),
+
+    // Set the payment status of the orders linked to a payment intent,
+    // returning the number of modified orders
+    async setPaymentStatus(paymentIntentId, paymentStatus) {
+      const result = await ordersCollection.updateMany(
+        { paymentIntentId },
+        { $set: { paymentStatus, paymentUpdatedAt: new Date() } }
+      );
+      return result.modifiedCount;
+    },
+
+    // Retrieve the orders linked to a payment intent, only those with one of the given statuses if any are given
+    findByPaymentIntent: (paymentIntentId, statuses) =>
+      ordersCollection
+        .find({
+          paymentIntentId,
+          ...(statuses && { status: { $in: statuses } }),
+        })
+        .toArray(),
+
+    // Record a refund on an order if the order's refunds stay within the given total
+    // Returns the updated order, or null if the refund would go over it
+    addRefund: (id, refund, maxRefundedAmount) =>
+      ordersCollection.findOneAndUpdate(
+        {
+          _id: id,
+          $or: [
+            { refundedAmount: { $exists: false } },
+            { refundedAmount: { $lte: maxRefundedAmount - refund.amount } },
+          ],
+        },
+        { $push: { refunds: refund }, $inc: { refundedAmount: refund.amount } },
+        { returnDocument: "after" }
+      ),
+
+    // Update a refund recorded on an order, returning the updated order
+    updateRefund: (id, refundId, fields) =>
+      ordersCollection.findOneAndUpdate(
+        { _id: id, "refunds.refundId": refundId },
+        {
+          $set: Object.fromEntries(
+            Object.entries(fields).map(([field, value]) => [
+              `refunds.$.${field}`,
+              value,
+            ])
+          ),
+        },
+        { returnDocument: "after" }
+      ),
+
+    // Remove a refund recorded on an order, such as one the payment provider rejected
+    async removeRefund(id, refundId) {
+      const order = await ordersCollection.findOne(
+        { _id: id, "refunds.refundId": refundId },
+        { projection: { refunds: { $elemMatch: { refundId } } } }
+      );
+      if (order) {
+        await ordersCollection.updateOne(
+          { _id: id, "refunds.refundId": refundId },
+          {
+            $pull: { refunds: { refundId } },
+            $inc: { refundedAmount: -order.refunds[0].amount },
+          }
+        );
+      }
+    },
+
+    // Replace an order's cancellation request if the current one still has the expected status
+    // (null when the order has no cancellation request)
+    // Returns the updated order, or null if the request was changed in the meantime
+    setCancelRequest: (id, expectedStatus, cancelRequest) =>
+      ordersCollection.findOneAndUpdate(
+        { _id: id, "cancelRequest.status": expectedStatus },
+        { $set: { cancelRequest } },
+        { returnDocument: "after" }
+      ),
+
+    // Check whether a buyer has an order for a product with one of the given statuses
+    async hasPurchase(productId, buyerID, statuses) {
+      const order = await ordersCollection.findOne(
+        { productId, buyerID, status: { $in: statuses } },
+        { projection: { _id: 1 } }
+      );
+      return Boolean(order);
+    },
+
+    // Retrieve a page of a buyer's purchases, grouping the line items of each checkout
+    async findPurchases(buyerID, { page, pageSize }) {
+      // The line items of each checkout make up a single purchase
+      // (older orders without a checkout are grouped by payment intent, or stand alone)
+      const purchaseKey = {
+        $ifNull: ["$checkoutID", { $ifNull: ["$paymentIntentId", "$orderID"] }],
+      };
+
+      // Find the purchases of the requested page first, newest first,
+      // so only their line items are grouped rather than the buyer's whole history
+      const [keys] = await ordersCollection
+        .aggregate([
+          { $match: { buyerID } },
+          { $group: { _id: purchaseKey, placedAt: { $min: "$createdAt" } } },
+          { $sort: { placedAt: -1, _id: -1 } },
+          {
+            $facet: {
+              page: [{ $skip: (page - 1) * pageSize }, { $limit: pageSize }],
+              total: [{ $count: "count" }],
+            },
+          },
+        ])
+        .toArray();
+      const pageKeys = keys.page.map((key) => key._id);
+
+      // Group the line items of the page's purchases
+      const purchases = await ordersCollection
+        .aggregate([
+          { $match: { buyerID, $expr: { $in: [purchaseKey, pageKeys] } } },
+          { $sort: { createdAt: 1, _id: 1 } },
+          {
+            $group: {
+              _id: purchaseKey,
+              placedAt: { $min: "$createdAt" },
+              paymentIntentId: { $first: "$paymentIntentId" },
+              currency: { $first: "$currency" },
+              itemCount: { $sum: "$quantity" },
+              subtotal: {
+                $sum: {
+                  $multiply: [
+                    { $ifNull: ["$price", 0] },
+                    { $ifNull: ["$quantity", 0] },
+                  ],
+                },
+              },
+              items: { $push: "$$ROOT" },
+            },
+          },
+          { $sort: { placedAt: -1, _id: -1 } },
+          {
+            $project: {
+              _id: 0,
+              checkoutID: "$_id",
+              placedAt: 1,
+              paymentIntentId: 1,
+              currency: 1,
+              itemCount: 1,
+              subtotal: 1,
+              items: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      return {
+        purchases,
+        totalPurchases: keys.total[0]?.count || 0,
+      };
+    },
+
+    // Aggregate a seller's orders with the given statuses in a date range into sales figures
+    // (refunded orders count towards the refund rate but not towards revenue, partially refunded ones in part)
+    async salesAnalytics(sellerID, { from, to, interval, statuses }) {
+      // Amount charged for a line item, in its own currency (see paidAmount in lib/refunds.js)
+      const paidAmount = {
+        $ifNull: [
+          "$amount",
+          {
+            $multiply: [
+              {
+                $add: [
+                  { $ifNull: ["$price", 0] },
+                  { $ifNull: ["$shipping", 0] },
+                ],
+              },
+              { $ifNull: ["$quantity", 0] },
+            ],
+          },
+        ],
+      };
+      // Share of a line item that has been refunded, from 0 to 1
+      const refundedShare = {
+        $cond: [
+          { $eq: ["$status", "refunded"] },
+          1,
+          {
+            $cond: [
+              { $gt: [paidAmount, 0] },
+              {
+                $min: [
+                  1,
+                  {
+                    $divide: [{ $ifNull: ["$refundedAmount", 0] }, paidAmount],
+                  },
+                ],
+              },
+              0,
+            ],
+          },
+        ],
+      };
+      // Revenue of a line item, in the base currency so orders charged in different currencies add up
+      // (refunds are in the charged currency, so the refunded share of the line is left out instead)
+      const lineRevenue = {
+        $round: [
+          {
+            $multiply: [
+              { $ifNull: ["$basePrice", 0] },
+              { $ifNull: ["$quantity", 0] },
+              { $subtract: [1, refundedShare] },
+            ],
+          },
+          0,
+        ],
+      };
+
+      const [sales] = await ordersCollection
+        .aggregate([
+          {
+            $match: {
+              sellerID,
+              status: { $in: statuses },
+              createdAt: { $gte: from, $lte: to },
+            },
+          },
+          {
+            $facet: {
+              // Revenue and units per day, week or month
+              series: [
+                { $match: { status: { $ne: "refunded" } } },
+                {
+                  $group: {
+                    _id: { $dateTrunc: { date: "$createdAt", unit: interval } },
+                    revenue: { $sum: lineRevenue },
+                    units: { $sum: "$quantity" },
+                    orders: { $sum: 1 },
+                  },
+                },
+                { $sort: { _id: 1 } },
+              ],
+              // Top-selling products by revenue, with their current name
+              topProducts: [
+                { $match: { status: { $ne: "refunded" } } },
+                {
+                  $group: {
+                    _id: "$productId",
+                    revenue: { $sum: lineRevenue },
+                    units: { $sum: "$quantity" },
+                  },
+                },
+                { $sort: { revenue: -1, units: -1 } },
+                { $limit: 5 },
+                {
+                  $lookup: {
+                    from: productsCollection.collectionName,
+                    localField: "_id",
+                    foreignField: "_id",
+                    as: "product",
+                  },
+                },
+              ],
+              // Totals for the average order value, counting each checkout as one order
+              totals: [
+                { $match: { status: { $ne: "refunded" } } },
+                {
+                  $group: {
+                    _id: null,
+                    revenue: { $sum: lineRevenue },
+                    units: { $sum: "$quantity" },
+                    checkouts: {
+                      $addToSet: { $ifNull: ["$checkoutID", "$orderID"] },
+                    },
+                  },
+                },
+              ],
+              // Paid and refunded order counts for the refund rate
+              // (a partially refunded order counts as the refunded share of an order)
+              refunds: [
+                {
+                  $group: {
+                    _id: null,
+                    paid: { $sum: 1 },
+                    refunded: { $sum: refundedShare },
+                  },
+                },
+              ],
+            },
+          },
+        ])
+        .toArray();
+
+      const totals = sales.totals[0];
+      const refunds = sales.refunds[0];
+      return {
+        series: sales.series.map(({ _id, revenue, units, orders }) => ({
+          period: _id,
+          revenue,
+          units,
+          orders,
+        })),
+        topProducts: sales.topProducts.map(
+          ({ _id, revenue, units, product }) => ({
+            productId: _id,
+            name: product[0]?.name,
+            revenue,
+            units,
+          })
+        ),
+        totals: {
+          revenue: totals?.revenue || 0,
+          units: totals?.units || 0,
+          orders: totals?.checkouts.length || 0,
+        },
+        paidCount: refunds?.paid || 0,
+        refundedCount: refunds?.refunded || 0, // Fractional with partial refunds
+      };
+    },
+  };
+
+  const reviews = {
+    // Retrieve a random sample of the reviews that aren't hidden
+    sample: (size) =>
+      reviewsCollection
+        .aggregate([
+          // Leave out reviews hidden by an admin
+          { $match: { hidden: { $ne: true } } },
+          { $sample: { size } },
+        ])
+        .toArray(),
+
+    // Insert a review (the unique index rejects a second review of the same product by the same user)
+    insert: (review) => insertUnique(() => reviewsCollection.insertOne(review)),
+
+    // Work out the average rating and the number of a product's visible reviews
+    async ratingStats(productId) {
+      const [stats] = await reviewsCollection
+        .aggregate([
+          { $match: { productId, hidden: { $ne: true } } },
+          {
+            $group: {
+              _id: null,
+              average: { $avg: "$rating" },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+      return stats ? { average: stats.average, count: stats.count } : null;
+    },
+
+    // Retrieve a page of a product's visible reviews, newest first
+    async findByProduct(productId, { page, pageSize }) {
+      const filter = { productId, hidden: { $ne: true } };
+      const [productReviews, totalReviews] = await Promise.all([
+        reviewsCollection
+          .find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .toArray(),
+        reviewsCollection.countDocuments(filter),
+      ]);
+      return { reviews: productReviews, totalReviews };
+    },
+
+    // Mark a review as hidden, returning the review or null if it doesn't exist
+    hide: (id, hiddenBy) =>
+      reviewsCollection.findOneAndUpdate(
+        { _id: id },
+        { $set: { hidden: true, hiddenBy, hiddenAt: new Date() } }
+      ),
+  };
+
+  const webhookEvents = {
+    // Record an event, using its ID as the document ID so a redelivery fails with a duplicate key
+    insert: (event) =>
+      insertUnique(() => webhookEventsCollection.insertOne(event)),
+
+    // Forget an event so it is processed again when it is redelivered
+    async remove(id) {
+      await webhookEventsCollection.deleteOne({ _id: id });
+    },
+  };
+
+  const stockAdjustments = {
+    // Record a change to a product's stock
+    async insert(adjustment) {
+      await stockAdjustmentsCollection.insertOne(adjustment);
+    },
+  };
+
+  const coupons = {
+    // Find a coupon by its (upper case) code
+    findByCode: (code) => couponsCollection.findOne({ code }),
+
+    // Insert a coupon (the unique index rejects duplicate codes)
+    insert: (coupon) => insertUnique(() => couponsCollection.insertOne(coupon)),
+
+    // Retrieve the coupons of a seller, or every coupon when no seller is given, newest first
+    list: (sellerID) =>
+      couponsCollection
+        .find(sellerID ? { sellerID } : {})
+        .sort({ createdAt: -1 })
+        .toArray(),
+
+    // Update a coupon, returning the updated coupon
+    update: (id, fields) =>
+      couponsCollection.findOneAndUpdate(
+        { _id: id },
+        { $set: fields },
+        { returnDocument: "after" }
+      ),
+
+    // Delete a coupon
+    async remove(id) {
+      await couponsCollection.deleteOne({ _id: id });
+    },
+
+    // Count a redemption towards a coupon's global usage limit
+    async incrementRedemptions(id) {
+      await couponsCollection.updateOne(
+        { _id: id },
+        { $inc: { redemptionCount: 1 } }
+      );
+    },
+  };
+
+  const couponRedemptions = {
+    // Count how many times a user has redeemed a coupon
+    countForUser: (couponId, userID) =>
+      couponRedemptionsCollection.countDocuments({ couponId, userID }),
+
+    // Record a redemption (the unique index on paymentIntentId keeps a payment from being counted twice)
+    insert: (redemption) =>
+      insertUnique(() => couponRedemptionsCollection.insertOne(redemption)),
+  };
+
+  const idempotencyKeys = {
+    // Record a new idempotency key, replacing an expired record of the same key
+    // (a key that is still live fails with a duplicate key)
+    reserve: (record) =>
+      insertUnique(() =>
+        idempotencyKeysCollection.replaceOne(
+          { _id: record._id, expiresAt: { $lte: new Date() } },
+          record,
+          { upsert: true }
+        )
+      ),
+
+    // Find an idempotency key that hasn't expired
+    // (the TTL index only deletes expired keys about once a minute)
+    find: (key) =>
+      idempotencyKeysCollection.findOne({
+        _id: key,
+        expiresAt: { $gt: new Date() },
+      }),
+
+    // Store the response sent for an idempotency key
+    async complete(key, response) {
+      await idempotencyKeysCollection.updateOne(
+        { _id: key },
+        { $set: { response, completedAt: new Date() } }
+      );
+    },
+
+    // Forget an idempotency key, so the request can be retried
+    async remove(key) {
+      await idempotencyKeysCollection.deleteOne({ _id: key });
+    },
+  };
+
+  const exchangeRates = {
+    // Retrieve every exchange rate, by currency
+    list: () => exchangeRatesCollection.find({}).sort({ _id: 1 }).toArray(),
+
+    // Set the exchange rate of a currency, returning the stored rate
+    set: (currency, fields) =>
+      exchangeRatesCollection.findOneAndUpdate(
+        { _id: currency },
+        { $set: fields },
+        { upsert: true, returnDocument: "after" }
+      ),
+
+    // Delete the exchange rate of a currency, returning the number of deleted rates
+    async remove(currency) {
+      const result = await exchangeRatesCollection.deleteOne({ _id: currency });
+      return result.deletedCount;
+    },
+  };
+
+  const paymentIntents = {
+    // Record a priced checkout under its payment intent ID
+    async insert(paymentIntent) {
+      await paymentIntentsCollection.insertOne(paymentIntent);
+    },
+
+    // Find a payment intent by its ID
+    findById: (id) => paymentIntentsCollection.findOne({ _id: id }),
+
+    // Mark a payment intent's orders as created, returning the payment intent,
+    // or null if it doesn't exist or its orders have already been created
+    claim: (id) =>
+      paymentIntentsCollection.findOneAndUpdate(
+        { _id: id, ordersCreatedAt: { $exists: false } },
+        { $set: { ordersCreatedAt: new Date() } },
+        { returnDocument: "after" }
+      ),
+
+    // Allow a payment intent's orders to be created again, when creating them failed
+    async release(id) {
+      await paymentIntentsCollection.updateOne(
+        { _id: id },
+        { $unset: { ordersCreatedAt: "" } }
+      );
+    },
+  };
+
+  // The audit log is append-only: entries are never updated or deleted
+  const auditLog = {
+    // Record a change
+    async insert(entry) {
+      await auditLogCollection.insertOne(entry);
+    },
+
+    // Retrieve a page of the entries matching the filters, newest first
+    // Filters: actorID, entityType, entityId, and the from / to dates the entries were recorded between
+    async find(
+      { actorID, entityType, entityId, from, to },
+      { page, pageSize }
+    ) {
+      const filter = {
+        ...(actorID !== undefined && { actorID }),
+        ...(entityType !== undefined && { entityType }),
+        ...(entityId !== undefined && { entityId }),
+        ...((from || to) && {
+          createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) },
+        }),
+      };
+      const [entries, totalEntries] = await Promise.all([
+        auditLogCollection
+          .find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .toArray(),
+        auditLogCollection.countDocuments(filter),
+      ]);
+      return { entries, totalEntries };
+    },
+  };
+
+  return {
+    connect,
+    close,
+    ping,
+    products,
+    orders,
+    reviews,
+    webhookEvents,
+    stockAdjustments,
+    coupons,
+    couponRedemptions,
+    idempotencyKeys,
+    exchangeRates,
+    auditLog,
+    paymentIntents,
+  };
+}
+
+module.exports = { createMongoRepository };